@@ -1,108 +1,36 @@
-// Color palette for module types
-const MODULE_COLORS = {
-  backend: '#4285F4',      // modern blue
-  frontend: '#FF7043',     // modern orange-red
-  frontendUtil: '#66BB6A', // modern green
-  backendUtil: '#AB47BC',  // modern purple
-  other: '#FFCA28'         // modern amber
-};
-
-// Function to determine module type color by name
-function getModuleColor(name) {
-  if (!name) return MODULE_COLORS.other;
-  const lower = name.toLowerCase();
-  if (lower.startsWith('mod') || lower.startsWith('edge')) return MODULE_COLORS.backend;
-  if (lower.startsWith('ui')) return MODULE_COLORS.frontend;
-  if (lower.startsWith('stripes')) return MODULE_COLORS.frontendUtil;
-  if (lower.startsWith('folio')) return MODULE_COLORS.backendUtil;
-  return MODULE_COLORS.other;
-}
-
-class BubbleChart {
-  constructor(container, width, height, onFocus) {
-    this.container = container;
-    this.width = width;
-    this.height = height;
-    this.onFocus = onFocus;
+class BubbleChart extends HierarchyChart {
+  // Pulse the module's circle
+  _highlight(leaf) {
+    this._nodes
+      .filter(d => d === leaf)
+      .raise()
+      .attr("stroke", themeColor("text"))
+      .transition("pulse")
+        .delay(750)
+        .duration(400)
+        .attr("stroke-width", 6)
+      .transition()
+        .duration(400)
+        .attr("stroke-width", 0)
+      .transition()
+        .duration(400)
+        .attr("stroke-width", 6)
+      .transition()
+        .duration(400)
+        .attr("stroke-width", 0)
+        .on("end", () => this._applyChanges());
   }
 
-  setData(data) {
-    // Transform the flat array into hierarchical structure
-    const teamMap = new Map();
-    
-    // Group data by teams
-    data.forEach(item => {
-      const { module, application, team } = item;
-      
-      if (!teamMap.has(team)) {
-        teamMap.set(team, {
-          name: team,
-          children: [],
-          applications: new Map(),
-          modules: []
-        });
-      }
-      
-      const teamData = teamMap.get(team);
-      
-      // If module has an application, group it under the application
-      if (application && application.trim() !== '') {
-        if (!teamData.applications.has(application)) {
-          teamData.applications.set(application, {
-            name: application,
-            children: []
-          });
-        }
-        
-        teamData.applications.get(application).children.push({
-          name: module
-        });
-      } else {
-        // If module doesn't belong to an application, add it directly to team
-        teamData.modules.push({
-          name: module
-        });
-      }
-    });
-    
-    // Build the final hierarchical structure
-    const teams = Array.from(teamMap.values()).map(team => {
-      const children = [];
-      
-      // Add applications with their modules
-      team.applications.forEach(app => {
-        children.push(app);
-      });
-      
-      // Add standalone modules
-      children.push(...team.modules);
-      
-      return {
-        name: team.name,
-        children: children
-      };
-    });
-    
-    if (teams.length > 1) {
-      this.data = {
-        name: 'FOLIO',
-        children: teams,
-      };
-    } else {
-      this.data = {
-        name: `${teams[0].name} - ${teams[0].children[0].name}`,
-        children: teams[0].children[0].children,
-      };
-    }
-
-    this.onFocus(this.data);
+  // Animate to the new data instead of redrawing; the zoom is kept when the focused group is still there
+  update(data) {
+    if (!this.root || !this._relayout) return super.update(data);
 
-    return this;
-  }
+    const path = this.getFocusPath();
+    this.setData(data);
+    this._relayout(path, 750);
 
-  reset() {
-    this.data = null;
-    document.getElementById(this.container).innerHTML = '';
+    // Also when the focused group was filtered away and the zoom fell back to the top
+    if (this.focusNode !== this.root || path.length > 0) this._setFocus(this.focusNode);
 
     return this;
   }
@@ -117,20 +45,8 @@ class BubbleChart {
     const width = this.width;
     const height = this.height;
 
-    // Create a more stylish color scale for non-leaf nodes.
-    const color = d3.scaleLinear()
-      .domain([0, 5])
-      .range(["#F5F7FA", "#90A4AE"]) // light gray to blue-gray
-      .interpolate(d3.interpolateHcl);
-
-    // Compute the layout.
-    const pack = data => d3.pack()
-      .size([width, height])
-      .padding(10) // Increase padding for borderless look
-      (d3.hierarchy(data)
-      .sum(d => d.value || 1)
-      .sort((a, b) => b.value - a.value));
-    const root = pack(data);
+    // Nodes keep their element across data updates when the names leading to them stay the same
+    const keyOf = d => d.ancestors().map(a => a.data.name).reverse().slice(1).join("\u0000");
 
     // Create the SVG container.
     const svg = d3.create("svg")
@@ -139,58 +55,184 @@ class BubbleChart {
       .attr("height", height)
       .attr("style", `max-width: 100%; display: block; margin: 0 auto; cursor: pointer;`);
 
-    // Append the nodes.
-    const node = svg.append("g")
-      .selectAll("circle")
-      .data(root.descendants().slice(1))
-      .join("circle")
-      .attr("fill", d => {
-        if (d.children) return color(d.depth);
-        // Leaf node: color by module name
-        return getModuleColor(d.data.name);
-      })
-      .attr("pointer-events", d => !d.children ? "none" : null)
-      .on("mouseover", function() { d3.select(this).attr("stroke", "#000"); })
-      .on("mouseout", function() { d3.select(this).attr("stroke", null); })
-      .on("click", (event, d) => focus !== d && (zoom(event, d), event.stopPropagation()));
-
-    // Append the text labels.
-    const label = svg.append("g")
+    const nodeGroup = svg.append("g");
+
+    const labelGroup = svg.append("g")
       .style("font", "12px 'Segoe UI', 'Roboto', 'Arial', sans-serif")
       .attr("pointer-events", "none")
-      .attr("text-anchor", "middle")
-      .selectAll("text")
-      .data(root.descendants())
-      .join("text")
-      .style("fill-opacity", d => d.parent === root ? 1 : 0)
-      .style("display", d => d.parent === root ? "inline" : "none")
-      .style("fill", d => d.children ? "#37474F" : "#263238")
-      .text(d => d.data.name);
+      .attr("text-anchor", "middle");
+
+    // Append the size legend; radii follow the zoom level.
+    const sizeLegend = svg.append("g")
+      .attr("pointer-events", "none")
+      .attr("transform", `translate(${-width / 2 + 70},${height / 2 - 10})`)
+      .style("font", "11px 'Segoe UI', 'Roboto', 'Arial', sans-serif");
+
+    const sizeLegendTitle = sizeLegend.append("text")
+      .attr("x", -60)
+      .attr("y", -118)
+      .style("fill", themeColor("heading"))
+      .style("font-weight", "bold");
 
     // Create the zoom behavior and zoom immediately in to the initial focus node.
-    svg.on("click", (event) => zoom(event, root));
-    let focus = root;
+    svg.on("click", (event) => zoom(root, event.altKey ? 7500 : 750));
+
+    let root;
+    let focus;
     let view;
-    zoomTo([focus.x, focus.y, focus.r * 2]);
+    let node = nodeGroup.selectAll("circle");
+    let label = labelGroup.selectAll("text");
+    let radiusPerUnit = 0;
+
+    layout([], 0);
+
+    this._zoom = zoom;
+    this._relayout = layout;
+    this._enableKeyboard(svg);
+
+    // Pack the current data and join it to the circles and labels, zoomed to the node at the path.
+    // Modules that are gone shrink away, new ones grow and the others move to their new place.
+    function layout(path, duration) {
+      root = d3.pack()
+        .size([width, height])
+        .padding(10) // Increase padding for borderless look
+        (_self._hierarchy());
+
+      _self.root = root;
+      _self.colorEncoding = createColorEncoding(_self.colorBy, root.leaves().map(d => d.data.row).filter(Boolean));
+      focus = _self._nodeAtPath(path);
+      _self.focusNode = focus;
+
+      view = [focus.x, focus.y, focus.r * 2];
+      const k = Math.min(width, height) / view[2];
+      const transform = d => `translate(${(d.x - view[0]) * k},${(d.y - view[1]) * k})`;
+
+      // The first layout is drawn in place; later ones animate
+      svg.interrupt();
+      const transition = svg.transition("layout").duration(duration);
+      const animate = selection => duration > 0 ? selection.transition(transition) : selection;
+
+      node = node
+        .data(root.descendants().slice(1), keyOf)
+        .join(
+          enter => enter.append("circle")
+            .attr("transform", transform)
+            .attr("r", 0)
+            .on("mouseover", function(event, d) {
+              d3.select(this).attr("stroke", themeColor("hover"));
+              _self._showTooltip(event, d);
+            })
+            .on("mousemove", (event) => _self.tooltip.move(event))
+            .on("mouseout", function(event, d) {
+              d3.select(this).attr("stroke", _self._changeStroke(d));
+              _self.tooltip.hide();
+            })
+            .on("click", (event, d) => {
+              event.stopPropagation();
+
+              // Modules open their details once their group is in focus; until then they zoom to the group
+              if (!d.children && d.parent === focus) {
+                if (d.data.row) _self.onModuleClick(d.data.row);
+              } else {
+                const target = d.children ? d : d.parent;
+                if (focus !== target) zoom(target, event.altKey ? 7500 : 750);
+              }
+            }),
+          update => update,
+          exit => exit
+            .attr("pointer-events", "none")
+            .call(exit => animate(exit).attr("r", 0).remove())
+        )
+        .order()
+        .attr("fill", d => {
+          if (d.children) return _self._groupColor(d.depth);
+          // Leaf node: color by the selected dimension
+          return _self._leafColor(d);
+        })
+        .attr("fill-opacity", d => _self._fillOpacity(d));
+
+      animate(node)
+        .attr("transform", transform)
+        .attr("r", d => d.r * k);
+
+      label = label
+        .data(root.descendants(), keyOf)
+        .join(
+          enter => enter.append("text")
+            .attr("transform", transform)
+            .style("fill-opacity", 0),
+          update => update,
+          exit => animate(exit).style("fill-opacity", 0).remove()
+        )
+        .style("display", d => d.parent === focus ? "inline" : "none")
+        .style("fill", d => themeColor(d.children ? "heading" : "text"))
+        .text(d => _self._nodeLabel(d));
+
+      animate(label)
+        .attr("transform", transform)
+        .style("fill-opacity", d => d.parent === focus ? 1 : 0);
+
+      const sizedLeaf = root.leaves().find(d => d.value > 0 && d.r > 0);
+      radiusPerUnit = sizedLeaf ? sizedLeaf.r / Math.sqrt(sizedLeaf.value) : 0;
+      sizeLegend.style("display", _self.sizeBy ? null : "none");
+      sizeLegendTitle.text(_self.sizeBy ? `Size: ${_self.sizeBy}` : "");
+      updateSizeLegend(k);
+
+      _self._nodes = node;
+      _self._applyChanges();
+      _self._applyAccessibility();
+    }
 
     function zoomTo(v) {
-      const k = width / v[2];
+      // The view fits the shorter side, so the focused circle stays whole in wide or tall charts
+      const k = Math.min(width, height) / v[2];
 
       view = v;
 
       label.attr("transform", d => `translate(${(d.x - v[0]) * k},${(d.y - v[1]) * k})`);
       node.attr("transform", d => `translate(${(d.x - v[0]) * k},${(d.y - v[1]) * k})`);
       node.attr("r", d => d.r * k);
+      updateSizeLegend(k);
+    }
+
+    function updateSizeLegend(k) {
+      if (!_self.sizeBy || !radiusPerUnit) return;
+
+      // Largest round value whose circle still fits the legend, then two smaller ones
+      const maxValue = (50 / (radiusPerUnit * k)) ** 2;
+      const step = 10 ** Math.floor(Math.log10(maxValue));
+      const top = Math.floor(maxValue / step) * step;
+      const values = [top, top / 4, top / 16].filter(v => v > 0);
+      const radius = v => radiusPerUnit * k * Math.sqrt(v);
+
+      sizeLegend.selectAll("circle")
+        .data(values)
+        .join("circle")
+        .attr("cy", v => -radius(v))
+        .attr("r", radius)
+        .attr("fill", "none")
+        .attr("stroke", themeColor("group-to"));
+
+      sizeLegend.selectAll("text.size-legend-value")
+        .data(values)
+        .join("text")
+        .attr("class", "size-legend-value")
+        .attr("x", 56)
+        .attr("y", v => -2 * radius(v) + 4)
+        .style("fill", themeColor("heading"))
+        .text(d3.format("~s"));
     }
 
-    function zoom(event, d) {
-      const focus0 = focus;
+    function zoom(d, duration) {
       focus = d;
+      _self._setFocus(focus);
 
-      _self.onFocus(focus.data);
+      // A zoom takes over from a running data update
+      node.interrupt("layout");
+      label.interrupt("layout");
 
       const transition = svg.transition()
-        .duration(event.altKey ? 7500 : 750)
+        .duration(duration)
         .tween("zoom", d => {
           const i = d3.interpolateZoom(view, [focus.x, focus.y, focus.r * 2]);
           return t => zoomTo(i(t));
@@ -206,4 +248,4 @@ class BubbleChart {
 
     document.getElementById(this.container).appendChild(svg.node());
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,142 @@
+class ChangelogTable {
+  constructor(containerId, onSelect) {
+    this.containerId = containerId;
+    this.onSelect = typeof onSelect === 'function' ? onSelect : () => {};
+    this.changes = null;
+    this.fromLabel = '';
+    this.toLabel = '';
+  }
+
+  // Changes from diffSnapshots(), or null to hide the table
+  setChanges(changes, fromLabel = '', toLabel = '') {
+    this.changes = changes;
+    this.fromLabel = fromLabel;
+    this.toLabel = toLabel;
+    this._render();
+
+    return this;
+  }
+
+  _render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (!this.changes) return;
+
+    const details = document.createElement('details');
+    details.open = true;
+    details.style.maxWidth = '770px';
+    details.style.margin = '12px 16px';
+    details.style.background = 'var(--folio-surface)';
+    details.style.borderRadius = '6px';
+    details.style.border = '1px solid var(--folio-border)';
+    details.style.padding = '6px 8px';
+    details.style.fontSize = '0.85rem';
+    details.style.color = 'var(--folio-muted)';
+
+    const counts = CHANGE_TYPES
+      .map(type => `${this.changes.filter(change => change.type === type.key).length} ${type.label.toLowerCase()}`)
+      .join(', ');
+
+    const summary = document.createElement('summary');
+    summary.textContent = `Changes from ${this.fromLabel} to ${this.toLabel} (${counts})`;
+    summary.style.cursor = 'pointer';
+    summary.style.fontWeight = '500';
+    details.appendChild(summary);
+
+    if (this.changes.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = 'No modules were added, removed or reassigned.';
+      empty.style.margin = '6px 0 0';
+      details.appendChild(empty);
+      container.appendChild(details);
+      return;
+    }
+
+    const scroller = document.createElement('div');
+    scroller.style.overflowY = 'auto';
+    scroller.style.maxHeight = '300px';
+    scroller.style.marginTop = '6px';
+
+    const table = document.createElement('table');
+    table.style.width = '100%';
+    table.style.borderCollapse = 'collapse';
+
+    const head = document.createElement('tr');
+    ['Change', 'Module', 'Team', 'Application'].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      th.style.textAlign = 'left';
+      th.style.padding = '4px 6px';
+      th.style.borderBottom = '1px solid var(--folio-border)';
+      th.style.color = 'var(--folio-subtle)';
+      th.style.fontWeight = '500';
+      head.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(head);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    this.changes.forEach(change => {
+      const type = getChangeType(change.type);
+      const tr = document.createElement('tr');
+
+      const typeCell = this._createCell(tr);
+      const swatch = document.createElement('span');
+      swatch.style.display = 'inline-block';
+      swatch.style.width = '10px';
+      swatch.style.height = '10px';
+      swatch.style.marginRight = '6px';
+      swatch.style.borderRadius = '50%';
+      swatch.style.background = type.color;
+      typeCell.appendChild(swatch);
+      typeCell.appendChild(document.createTextNode(type.label));
+
+      const moduleBtn = document.createElement('button');
+      moduleBtn.type = 'button';
+      moduleBtn.textContent = change.module;
+      moduleBtn.style.padding = '0';
+      moduleBtn.style.border = 'none';
+      moduleBtn.style.background = 'none';
+      moduleBtn.style.font = 'inherit';
+      moduleBtn.style.color = 'var(--folio-accent)';
+      moduleBtn.style.cursor = 'pointer';
+      moduleBtn.style.textAlign = 'left';
+      moduleBtn.addEventListener('click', () => this.onSelect(change));
+      this._createCell(tr).appendChild(moduleBtn);
+
+      REASSIGNMENT_FIELDS.forEach(field => {
+        this._createCell(tr).textContent = this._formatField(change, field);
+      });
+
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+
+    scroller.appendChild(table);
+    details.appendChild(scroller);
+    container.appendChild(details);
+  }
+
+  _createCell(tr) {
+    const td = document.createElement('td');
+    td.style.padding = '4px 6px';
+    td.style.borderBottom = '1px solid var(--folio-divider)';
+    td.style.verticalAlign = 'top';
+    tr.appendChild(td);
+
+    return td;
+  }
+
+  // "before → after" for changed fields, otherwise the value on whichever side exists
+  _formatField(change, field) {
+    const before = change.before ? change.before[field] || '-' : null;
+    const after = change.after ? change.after[field] || '-' : null;
+
+    if (change.fields.includes(field)) return `${before} → ${after}`;
+
+    return after || before;
+  }
+}
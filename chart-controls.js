@@ -0,0 +1,161 @@
+class ChartControls {
+  constructor(containerId, { onSizeByChange, onColorByChange, onLayoutChange, onLevelsChange, layouts = [], layout, levels, sizeBy, colorBy } = {}) {
+    this.containerId = containerId;
+    this.onLayoutChange = typeof onLayoutChange === 'function' ? onLayoutChange : () => {};
+    this.onLevelsChange = typeof onLevelsChange === 'function' ? onLevelsChange : () => {};
+    this.onSizeByChange = typeof onSizeByChange === 'function' ? onSizeByChange : () => {};
+    this.onColorByChange = typeof onColorByChange === 'function' ? onColorByChange : () => {};
+    this.numericColumns = [];
+    this.sizeBy = sizeBy || '';
+    this.colorBy = colorBy || COLOR_DIMENSIONS[0].key;
+    this.layouts = layouts;
+    this.layout = layout || (layouts[0] && layouts[0].key);
+    this.levels = levels && levels.length > 0 ? levels : DEFAULT_HIERARCHY_LEVELS;
+    this.columns = new Set();
+    this._render();
+  }
+
+  setData(data) {
+    this.numericColumns = detectNumericColumns(data);
+    this.columns = new Set(data.flatMap(item => Object.keys(item)));
+
+    // The selected column disappeared from the data: fall back to counting modules
+    if (this.sizeBy && !this.numericColumns.includes(this.sizeBy)) {
+      this.sizeBy = '';
+      this.onSizeByChange(null);
+    }
+
+    this._render();
+
+    return this;
+  }
+
+  // Show a layout chosen elsewhere (e.g. by a page embedding the chart) without reporting it back
+  setLayout(layout) {
+    this.layout = layout;
+    this._render();
+
+    return this;
+  }
+
+  _render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    container.innerHTML = '';
+
+    const wrapper = document.createElement('div');
+    wrapper.style.display = 'flex';
+    wrapper.style.flexWrap = 'wrap';
+    wrapper.style.alignItems = 'center';
+    wrapper.style.gap = '12px';
+    wrapper.style.padding = '12px 16px 0';
+    wrapper.style.fontSize = '0.9rem';
+    wrapper.style.color = 'var(--folio-muted)';
+
+    // Layout
+    if (this.layouts.length > 1) {
+      const layoutLabel = document.createElement('label');
+      layoutLabel.textContent = 'Layout ';
+
+      const layoutSelect = document.createElement('select');
+      this.layouts.forEach(layout => {
+        const option = document.createElement('option');
+        option.value = layout.key;
+        option.textContent = layout.label;
+        layoutSelect.appendChild(option);
+      });
+
+      layoutSelect.value = this.layout;
+      layoutSelect.addEventListener('change', (e) => {
+        this.layout = e.target.value;
+        this.onLayoutChange(this.layout);
+      });
+
+      layoutLabel.appendChild(layoutSelect);
+      wrapper.appendChild(layoutLabel);
+    }
+
+    // Group by; presets need their columns in the data, custom levels (e.g. from the URL) stay selectable
+    const groupLabel = document.createElement('label');
+    groupLabel.textContent = 'Group by ';
+
+    const groupSelect = document.createElement('select');
+    const current = this.levels.join(',');
+    const presets = HIERARCHY_PRESETS.filter(preset =>
+      preset.levels.join(',') === current ||
+      preset.levels.every(key => this.columns.has(getHierarchyLevel(key).column)));
+
+    if (!presets.some(preset => preset.levels.join(',') === current)) {
+      presets.unshift({ label: this.levels.map(key => getHierarchyLevel(key).label).join(' → '), levels: this.levels });
+    }
+
+    presets.forEach(preset => {
+      const option = document.createElement('option');
+      option.value = preset.levels.join(',');
+      option.textContent = preset.label;
+      groupSelect.appendChild(option);
+    });
+
+    groupSelect.value = current;
+    groupSelect.addEventListener('change', (e) => {
+      this.levels = e.target.value.split(',');
+      this.onLevelsChange(this.levels);
+    });
+
+    groupLabel.appendChild(groupSelect);
+    wrapper.appendChild(groupLabel);
+
+    // Size by
+    const sizeLabel = document.createElement('label');
+    sizeLabel.textContent = 'Size by ';
+
+    const sizeSelect = document.createElement('select');
+    const countOption = document.createElement('option');
+    countOption.value = '';
+    countOption.textContent = 'Count';
+    sizeSelect.appendChild(countOption);
+
+    this.numericColumns.forEach(column => {
+      const option = document.createElement('option');
+      option.value = column;
+      option.textContent = column;
+      sizeSelect.appendChild(option);
+    });
+
+    sizeSelect.value = this.sizeBy;
+    sizeSelect.disabled = this.numericColumns.length === 0;
+    sizeSelect.title = this.numericColumns.length === 0 ? 'The data has no numeric columns' : '';
+    sizeSelect.addEventListener('change', (e) => {
+      this.sizeBy = e.target.value;
+      this.onSizeByChange(this.sizeBy || null);
+    });
+
+    sizeLabel.appendChild(sizeSelect);
+    wrapper.appendChild(sizeLabel);
+
+    // Color by
+    const colorLabel = document.createElement('label');
+    colorLabel.textContent = 'Color by ';
+
+    const colorSelect = document.createElement('select');
+    // Dimensions reading an optional column (e.g. repository metadata) need it in the data
+    COLOR_DIMENSIONS.filter(dimension =>
+      !dimension.column || this.columns.has(dimension.column) || dimension.key === this.colorBy
+    ).forEach(dimension => {
+      const option = document.createElement('option');
+      option.value = dimension.key;
+      option.textContent = dimension.label;
+      colorSelect.appendChild(option);
+    });
+
+    colorSelect.value = this.colorBy;
+    colorSelect.addEventListener('change', (e) => {
+      this.colorBy = e.target.value;
+      this.onColorByChange(this.colorBy);
+    });
+
+    colorLabel.appendChild(colorSelect);
+    wrapper.appendChild(colorLabel);
+    container.appendChild(wrapper);
+  }
+}
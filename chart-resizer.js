@@ -0,0 +1,46 @@
+// Watches the chart container and reports the size the chart should have:
+// the container's width, and no taller than the window
+class ChartResizer {
+  constructor(containerId, onResize, { minSize = 320, delay = 200 } = {}) {
+    this.containerId = containerId;
+    this.onResize = typeof onResize === 'function' ? onResize : () => {};
+    this.minSize = minSize;
+    this.delay = delay;
+    this.timer = null;
+    this.size = this.measure();
+
+    const schedule = () => {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this._update(), this.delay);
+    };
+
+    // The container changes width with the window and when the sidebar is shown or hidden
+    const container = document.getElementById(this.containerId);
+    if (container && typeof ResizeObserver !== 'undefined') {
+      new ResizeObserver(schedule).observe(container);
+    }
+    window.addEventListener('resize', schedule);
+  }
+
+  // Containers that cannot be measured (e.g. not laid out yet) keep the default size
+  measure() {
+    const container = document.getElementById(this.containerId);
+    const width = container && container.clientWidth ? container.clientWidth : ChartResizer.DEFAULT_SIZE;
+    const height = window.innerHeight || ChartResizer.DEFAULT_SIZE;
+
+    return {
+      width: Math.max(this.minSize, Math.floor(width)),
+      height: Math.max(this.minSize, Math.floor(Math.min(width, height)))
+    };
+  }
+
+  _update() {
+    const size = this.measure();
+    if (size.width === this.size.width && size.height === this.size.height) return;
+
+    this.size = size;
+    this.onResize(size.width, size.height);
+  }
+}
+
+ChartResizer.DEFAULT_SIZE = 770;
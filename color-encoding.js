@@ -0,0 +1,65 @@
+// Dimensions the chart can color modules by; ordinal dimensions get a sequential scale
+const COLOR_DIMENSIONS = [
+  { key: 'type', label: 'Module type', value: row => getModuleType(row.module), format: type => MODULE_TYPE_LABELS[type] || type },
+  // Shared modules take the color of their first team or application
+  { key: 'team', label: 'Team', value: row => getTeams(row)[0] },
+  { key: 'application', label: 'Application', value: row => getApplications(row)[0] },
+  { key: 'release', label: 'First release', value: row => row['first release'], ordinal: true, compare: compareReleases },
+  { key: 'owner', label: 'Product owner', value: row => row['product owner'] },
+  // Repository metadata (see repository-metadata.js); offered once its column is in the data
+  {
+    key: 'ci', label: 'CI status', column: 'ci status', value: row => row['ci status'],
+    colors: { success: '#43A047', pending: '#FFB300', failure: '#E53935' },
+    format: status => ({ success: 'Passing', pending: 'Running', failure: 'Failing' })[status] || status
+  },
+  { key: 'activity', label: 'Last commit', column: 'last commit', value: row => commitAge(row['last commit']), ordinal: true, compare: (a, b) => compareCommitAges(a, b) }
+];
+
+const MISSING_COLOR = '#CFD8DC';
+
+function getColorDimension(key) {
+  return COLOR_DIMENSIONS.find(dimension => dimension.key === key) || COLOR_DIMENSIONS[0];
+}
+
+// Build the color scale for a dimension over the given rows.
+// Returns { dimension, value(row), color(row), categories: [{ value, label, color, count }] }
+function createColorEncoding(dimensionKey, rows) {
+  const dimension = getColorDimension(dimensionKey);
+  const valueOf = row => dimension.value(row) || '';
+  const format = value => value === '' ? '(none)' : (dimension.format ? dimension.format(value) : value);
+  const counts = d3.rollup(rows, group => group.length, valueOf);
+
+  let domain = [...counts.keys()].filter(value => value !== '');
+  let range;
+
+  if (dimension.key === 'type') {
+    // Keep the familiar module type colors and their order
+    domain = Object.keys(MODULE_COLORS).filter(type => counts.has(type));
+    range = domain.map(type => MODULE_COLORS[type]);
+  } else if (dimension.colors) {
+    domain = Object.keys(dimension.colors).filter(value => counts.has(value));
+    range = domain.map(value => dimension.colors[value]);
+  } else if (dimension.ordinal) {
+    domain.sort(dimension.compare || d3.ascending);
+    range = domain.length > 1 ? d3.quantize(d3.interpolateViridis, domain.length) : [d3.interpolateViridis(0.5)];
+  } else {
+    domain.sort(d3.ascending);
+    range = domain.length <= 10
+      ? d3.schemeTableau10
+      : d3.quantize(t => d3.interpolateRainbow(t * (domain.length - 1) / domain.length), domain.length);
+  }
+
+  const scale = d3.scaleOrdinal(domain, range).unknown(MISSING_COLOR);
+  const categories = domain.map(value => ({ value, label: format(value), color: scale(value), count: counts.get(value) }));
+
+  if (counts.has('')) {
+    categories.push({ value: '', label: format(''), color: MISSING_COLOR, count: counts.get('') });
+  }
+
+  return {
+    dimension,
+    categories,
+    value: valueOf,
+    color: row => scale(valueOf(row))
+  };
+}
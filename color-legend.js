@@ -0,0 +1,79 @@
+class ColorLegend {
+  constructor(containerId, onToggle) {
+    this.containerId = containerId;
+    this.onToggle = typeof onToggle === 'function' ? onToggle : () => {};
+    this.title = '';
+    this.categories = [];
+    this.hidden = new Set();
+  }
+
+  setCategories(title, categories, hidden = new Set()) {
+    this.title = title;
+    this.categories = categories;
+    this.hidden = hidden;
+    this._render();
+
+    return this;
+  }
+
+  _render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (this.categories.length === 0) return;
+
+    const wrapper = document.createElement('div');
+    wrapper.style.display = 'flex';
+    wrapper.style.flexWrap = 'wrap';
+    wrapper.style.alignItems = 'center';
+    wrapper.style.gap = '4px 12px';
+    wrapper.style.padding = '8px 16px 0';
+    wrapper.style.maxWidth = '770px';
+    wrapper.style.fontSize = '0.85rem';
+    wrapper.style.color = 'var(--folio-muted)';
+
+    const title = document.createElement('span');
+    title.textContent = `${this.title}:`;
+    title.style.fontWeight = '500';
+    wrapper.appendChild(title);
+
+    this.categories.forEach(category => {
+      const hidden = this.hidden.has(category.value);
+
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.title = hidden ? 'Click to show' : 'Click to hide';
+      item.setAttribute('aria-pressed', String(!hidden));
+      item.style.display = 'inline-flex';
+      item.style.alignItems = 'center';
+      item.style.gap = '5px';
+      item.style.padding = '2px 4px';
+      item.style.border = 'none';
+      item.style.background = 'none';
+      item.style.font = 'inherit';
+      item.style.color = 'inherit';
+      item.style.cursor = 'pointer';
+      item.style.opacity = hidden ? '0.4' : '1';
+      item.style.textDecoration = hidden ? 'line-through' : 'none';
+
+      const swatch = document.createElement('span');
+      swatch.style.display = 'inline-block';
+      swatch.style.width = '12px';
+      swatch.style.height = '12px';
+      swatch.style.borderRadius = '50%';
+      swatch.style.background = category.color;
+
+      item.appendChild(swatch);
+      item.appendChild(document.createTextNode(`${category.label} (${category.count})`));
+      item.addEventListener('click', () => {
+        this.onToggle(category.value);
+        this._render();
+      });
+
+      wrapper.appendChild(item);
+    });
+
+    container.appendChild(wrapper);
+  }
+}
@@ -0,0 +1,598 @@
+// The whole dashboard (chart, controls and sidebar) in one container, for this page and for
+// pages embedding it:
+//
+//   const dashboard = createDashboard('folio', { source: '?source=url&url=modules.csv', height: 600 });
+//   dashboard.on('select', ({ module }) => console.log(module));
+//   dashboard.setFilters({ team: ['Thunderjet'] });
+//
+// Options:
+//   source          Data source (see data-sources.js) or query parameters for createDataSourceFromParams
+//   params          Query parameters read for the source and for typeRules, releaseOrder, levels,
+//                   snapshots, descriptors and kiosk (default: the page's own with `history`, none otherwise)
+//   history         Keep filters and zoom in the URL hash and the source in the query string (default: false)
+//   spreadsheetId   The default Google Sheet
+//   width, height   Fixed chart size; by default the chart follows the width of its container
+//   layout, levels, sizeBy, colorBy, filters   Initial view
+//   colors          Module type colors, e.g. { backend: '#1565C0' }; shared by all dashboards on the page
+//   theme           'auto' (follow the system), 'light', 'dark' or 'contrast'; also ?theme=, shared like colors
+//   repositoryUrl   Repository of each module, e.g. 'https://github.com/folio-org/{module}'; also ?repo=
+//   metadata        'github' or the URL of a JSON file with repository metadata (see repository-metadata.js);
+//                   also ?metadata=
+//   githubToken     Token for the GitHub API, which otherwise allows metadata of about a dozen modules an hour
+//   idPrefix        Prefix of the element ids, so several dashboards can share a page
+//
+// Events, subscribed to with on(name, handler):
+//   focus           { path }                                  the chart zoomed to another group or module
+//   filterchange    { selection, rows }                       the filter selection changed
+//   select          { module, row }                           the details of a module were opened
+//   dataloaded      { data, source, timestamp, fromCache }    rows were loaded or refreshed
+
+const DEFAULT_SPREADSHEET_ID = '1n2PW0gH7ZsjqnoDsRguJaoATYdoTuU6OkGFPUV2RHXI';
+
+const DASHBOARD_EVENTS = ['focus', 'filterchange', 'select', 'dataloaded'];
+
+const CHART_LAYOUTS = {
+  bubble: { label: 'Bubbles', chart: BubbleChart },
+  treemap: { label: 'Treemap', chart: TreemapChart },
+  sunburst: { label: 'Sunburst', chart: SunburstChart },
+  tree: { label: 'Tree', chart: TreeChart },
+  dependencies: { label: 'Dependencies', chart: DependencyChart }
+};
+
+function createDashboard(container, options = {}) {
+  const element = typeof container === 'string' ? document.getElementById(container) : container;
+  if (!element) throw new Error(`Dashboard container not found: ${container}`);
+
+  const keepHistory = Boolean(options.history);
+  const params = new URLSearchParams(options.params !== undefined ? options.params : (keepHistory ? window.location.search : ''));
+  const spreadsheetId = options.spreadsheetId || DEFAULT_SPREADSHEET_ID;
+  const id = name => `${options.idPrefix || ''}${name}`;
+
+  injectThemeStyle();
+  injectDashboardStyle();
+  renderDashboardLayout(element, id);
+
+  const theme = options.theme || params.get('theme');
+  if (theme === 'auto' || THEMES[theme]) setTheme(theme);
+
+  const listeners = Object.fromEntries(DASHBOARD_EVENTS.map(name => [name, []]));
+
+  function emit(name, detail) {
+    listeners[name].forEach(listener => listener(detail));
+  }
+
+  // Custom module type rules, e.g. ?typeRules=lib-:library,svc-:backend
+  addModuleTypeRules(parseModuleTypeRules(params.get('typeRules')));
+  Object.assign(MODULE_COLORS, options.colors);
+
+  // Custom release ordering, oldest first, e.g. ?releaseOrder=2023.1,2023.2,2024.1
+  const releaseOrder = parseReleaseOrder(params.get('releaseOrder'));
+  if (releaseOrder.length > 0) setReleaseOrder(releaseOrder);
+
+  // Grouping levels of the chart, e.g. ?levels=department,team,application (level keys or column names)
+  const hierarchyLevels = options.levels || parseHierarchyLevels(params.get('levels'));
+
+  // Repository links and metadata shown on the cards and offered as chart dimensions
+  const repositoryTemplate = checkRepositoryTemplate(options.repositoryUrl || params.get('repo'));
+  const metadataSource = createMetadataSource(options.metadata || params.get('metadata'), {
+    template: repositoryTemplate,
+    token: options.githubToken || null
+  });
+
+  const banner = new StatusBanner(id('status-banner'));
+  const detailDrawer = new DetailDrawer();
+  const moduleList = new ModulesList(id('modules-list'), selectModule, { repositoryUrl: repositoryTemplate });
+  const urlState = keepHistory ? new UrlState() : null;
+
+  // ModuleDescriptors loaded from files or ?descriptors=<url>, one per module
+  let moduleDescriptors = [];
+
+  // The chart follows the width of its column and keeps its zoom when resized, unless its size is fixed
+  const fixedSize = options.width && options.height ? { width: options.width, height: options.height } : null;
+  const chartResizer = fixedSize ? null : new ChartResizer(id('chart'), (width, height) => folioChart.resize(width, height));
+
+  const initialLayout = CHART_LAYOUTS[options.layout] ? options.layout : 'bubble';
+  let folioChart = createChart(initialLayout).setLevels(hierarchyLevels);
+  if (options.sizeBy) folioChart.setSizeBy(options.sizeBy);
+  if (options.colorBy) folioChart.setColorBy(options.colorBy);
+
+  const filters = new Filters(id('filters'), [], drawChart);
+  const chartControls = new ChartControls(id('chart-controls'), {
+    onSizeByChange: (column) => {
+      folioChart.setSizeBy(column);
+      redrawChart();
+    },
+    onColorByChange: (key) => {
+      folioChart.setColorBy(key);
+      redrawChart();
+    },
+    onLevelsChange: (levels) => {
+      // The zoomed group does not exist in the new grouping, so start from the top
+      folioChart.setLevels(levels).reset();
+      drawChart(filters.getFilteredData());
+    },
+    onLayoutChange: setLayout,
+    layouts: Object.entries(CHART_LAYOUTS).map(([key, layout]) => ({ key, label: layout.label })),
+    layout: initialLayout,
+    levels: folioChart.levels,
+    sizeBy: folioChart.sizeBy,
+    colorBy: folioChart.colorBy
+  });
+  const exportMenu = new ExportMenu(id('export-menu'), {
+    getSvg: () => document.getElementById(id('chart')).querySelector('svg'),
+    getRows: () => filters.getFilteredData(),
+    getTree: () => folioChart.data
+  });
+  const colorLegend = new ColorLegend(id('color-legend'), (value) => folioChart.toggleCategory(value));
+  const releaseTimeline = new ReleaseTimeline(id('release-timeline'), (releases) => {
+    filters.setSelection({ ...filters.getSelection(), release: releases || [] });
+  });
+  const issuesPanel = new DataIssuesPanel(id('data-issues'));
+  const searchBox = new SearchBox(id('search'), (row) => showModule(row.module));
+  const snapshotCompare = new SnapshotCompare(id('snapshot-compare'), () => displayData());
+  const changelog = new ChangelogTable(id('changelog'), (change) => showModule(change.module));
+  const descriptorPicker = new DescriptorPicker(id('descriptor-picker'), addDescriptors);
+  const kioskMode = new KioskMode(id('kiosk-mode'), {
+    getGroups: () => folioChart.getGroups(),
+    onShow: (path) => {
+      // Cycling does not add history entries
+      restoring = true;
+      folioChart.focusPath(path);
+      restoring = false;
+    }
+  });
+  const themePicker = new ThemePicker(id('theme-picker'));
+  const sourcePicker = new SourcePicker(id('source-picker'), loadData, { spreadsheetId }, { updateUrl: keepHistory });
+
+  let currentSource = null;
+
+  // Rows last loaded from the current source, and the changes shown in compare mode
+  let liveData = null;
+  let changes = null;
+
+  // Repository metadata by module name, and the request that will replace it
+  let metadata = null;
+  let metadataRequest = null;
+
+  // Focus path to restore once the chart has been redrawn
+  let pendingFocus = urlState ? urlState.read().focus : [];
+  let restoring = false;
+
+  filters.setSelection(urlState ? urlState.read().filters : (options.filters || {}), { silent: true });
+
+  // Last state reported to listeners, so redraws that change neither stay quiet
+  let lastFocus = '';
+  let lastSelection = JSON.stringify(filters.getSelection());
+
+  // Charts draw in the colors of the theme, so they are drawn again when it changes
+  onThemeChange(() => {
+    folioChart.redraw();
+    releaseTimeline.setData(filters.getFilteredData('release'), filters.getSelection().release);
+  });
+
+  if (urlState) {
+    urlState.onChange(state => {
+      restoring = true;
+      pendingFocus = state.focus;
+      filters.setSelection(state.filters);
+      restoring = false;
+      restoreFocus(true);
+    });
+  }
+
+  // Every layout shows the same hierarchy; the new chart takes over size, color and hidden categories
+  function createChart(layout, previous) {
+    const { width, height } = fixedSize || chartResizer.size;
+    const chart = new CHART_LAYOUTS[layout].chart(id('chart'), width, height, moduleList.render.bind(moduleList), {
+      onZoom: (path) => {
+        syncUrl();
+        emitFocus(path);
+      },
+      onModuleClick: selectModule,
+      getDescriptors: () => moduleDescriptors
+    });
+
+    if (previous) {
+      chart
+        .setSizeBy(previous.sizeBy)
+        .setColorBy(previous.colorBy)
+        .setLevels(previous.levels)
+        .setChanges(previous.changes);
+      previous.hiddenCategories.forEach(value => chart.hiddenCategories.add(value));
+    }
+
+    return chart;
+  }
+
+  // Switch layouts, keeping the current zoom
+  function setLayout(layout) {
+    const focus = folioChart.getFocusPath();
+    folioChart.reset();
+    folioChart = createChart(layout, folioChart);
+    pendingFocus = focus;
+    drawChart(filters.getFilteredData());
+  }
+
+  function drawChart(filteredData) {
+    // Filtering animates the chart to the new data and keeps the zoom where possible
+    folioChart.update(filteredData.concat(filters.filter(removedRows())));
+
+    colorLegend.setCategories(
+      getColorDimension(folioChart.colorBy).label,
+      folioChart.getColorCategories(),
+      folioChart.hiddenCategories
+    );
+    releaseTimeline.setData(filters.getFilteredData('release'), filters.getSelection().release);
+
+    // Redraws caused by loading or history navigation restore the focus instead of adding a history entry
+    const restored = pendingFocus !== null;
+    restoreFocus(false);
+    syncUrl({ replace: restored });
+
+    // The filters may have removed the focused group, moving the focus without a zoom
+    emitFocus(folioChart.getFocusPath());
+
+    const selection = filters.getSelection();
+    if (JSON.stringify(selection) !== lastSelection) {
+      lastSelection = JSON.stringify(selection);
+      emit('filterchange', { selection, rows: filteredData });
+    }
+  }
+
+  // Redraw the filtered data in place, keeping the current zoom
+  function redrawChart() {
+    pendingFocus = folioChart.getFocusPath();
+    drawChart(filters.getFilteredData());
+  }
+
+  function syncUrl({ replace = false } = {}) {
+    if (restoring || !urlState) return;
+    urlState.write({ filters: filters.getSelection(), focus: folioChart.getFocusPath() }, { replace });
+  }
+
+  function emitFocus(path) {
+    if (path.join('\u0000') === lastFocus) return;
+    lastFocus = path.join('\u0000');
+    emit('focus', { path });
+  }
+
+  function restoreFocus(animate) {
+    const path = pendingFocus;
+    pendingFocus = null;
+    if (!path || path.length === 0) return;
+
+    restoring = true;
+    folioChart.focusPath(path, { animate });
+    restoring = false;
+  }
+
+  function showData(data, source, { timestamp, fromCache = false }) {
+    liveData = data;
+    issuesPanel.setIssues(validateModules(data), source.rowUrl.bind(source));
+    displayData();
+    emit('dataloaded', { data, source: source.describe(), timestamp, fromCache });
+    loadMetadata(data);
+  }
+
+  // Repository metadata arrives after the rows and is merged into them when it does
+  function loadMetadata(rows) {
+    if (!metadataSource) return;
+
+    const request = metadataSource.load(rows.map(row => row.module).filter(Boolean));
+    metadataRequest = request;
+
+    request
+      .then(result => {
+        if (request !== metadataRequest) return;
+        metadata = result;
+        displayData();
+      })
+      .catch(error => console.error(`Failed to load repository metadata from ${metadataSource.describe()}:`, error));
+  }
+
+  // Show the current data, or the newer snapshot when comparing two snapshots
+  function displayData() {
+    const { from, to } = snapshotCompare.getComparison();
+    if (!to && !liveData) return;
+
+    const data = to ? to.data : liveData;
+
+    changes = from ? diffSnapshots(from.data, data) : null;
+    folioChart.setChanges(changes);
+    changelog.setChanges(changes, from && from.label, to ? to.label : 'current data');
+
+    // Keep the current zoom when fresh data replaces what is on screen
+    if (pendingFocus === null) pendingFocus = folioChart.getFocusPath();
+
+    // Snapshots are compared without the metadata, which describes the repositories as they are now
+    const rows = enrichRows(data, metadata);
+
+    moduleList.setDataSource(rows.concat(removedRows()));
+    searchBox.setData(rows);
+    chartControls.setData(rows);
+    filters.setData(rows);
+  }
+
+  // Modules of the older snapshot that are gone, shown in the chart while comparing
+  function removedRows() {
+    return (changes || []).filter(change => change.type === 'removed').map(change => change.before);
+  }
+
+  // Newer descriptors replace those of the same module
+  function addDescriptors(descriptors) {
+    const byModule = new Map(moduleDescriptors.map(descriptor => [descriptor.module, descriptor]));
+    descriptors.forEach(descriptor => byModule.set(descriptor.module, descriptor));
+    moduleDescriptors = [...byModule.values()];
+
+    descriptorPicker.setCount(moduleDescriptors.length);
+    redrawChart();
+  }
+
+  function showModule(name) {
+    if (!folioChart.focusModule(name)) {
+      // The filters are only cleared when they hide a module the data has
+      if (!liveData || !liveData.some(row => row.module === name)) return false;
+      filters.setSelection({});
+      if (!folioChart.focusModule(name)) return false;
+    }
+    moduleList.scrollToModule(name);
+    return true;
+  }
+
+  function selectModule(row) {
+    detailDrawer.open(row);
+    emit('select', { module: row.module, row });
+  }
+
+  function loadData(source) {
+    currentSource = source;
+    banner.showLoading();
+
+    return source.load({
+      onUpdate: ({ data, timestamp }) => {
+        if (source !== currentSource) return;
+        showData(data, source, { timestamp });
+        banner.showDataAge(timestamp);
+      },
+      onError: (error) => {
+        if (source !== currentSource) return;
+        console.error(`Failed to refresh data from ${source.describe()}:`, error);
+        banner.showRefreshFailed();
+      }
+    })
+      .then(({ data, timestamp, fromCache }) => {
+        if (source !== currentSource) return;
+        showData(data, source, { timestamp, fromCache });
+        banner.showDataAge(timestamp, { refreshing: fromCache });
+      })
+      .catch(error => {
+        if (source !== currentSource) return;
+        console.error(`Failed to load data from ${source.describe()}:`, error);
+        banner.showError(`Could not load data from ${source.describe()}.`, () => loadData(source));
+      });
+  }
+
+  // A source given as query parameters, e.g. '?source=url&url=modules.csv'
+  function toSource(source) {
+    return source && typeof source.load === 'function'
+      ? source
+      : createDataSourceFromParams(new URLSearchParams(source || ''), { spreadsheetId });
+  }
+
+  const initialSource = toSource(options.source || params);
+
+  if (initialSource) {
+    loadData(initialSource);
+  } else {
+    sourcePicker.open();
+    banner.showError('Choose a CSV or JSON file to load.');
+  }
+
+  // Kiosk mode for wall displays, e.g. ?kiosk=20 to show each team for 20 seconds (30 by default)
+  if (params.has('kiosk')) {
+    kioskMode.interval = (Number(params.get('kiosk')) || 30) * 1000;
+    kioskMode.start();
+  }
+
+  // Spreadsheet tabs holding older snapshots, by gid or name, e.g. ?snapshots=123456,2024-Q1
+  const snapshotTabs = (params.get('snapshots') || '').split(',').map(tab => tab.trim()).filter(Boolean);
+  if (initialSource && initialSource.loadSnapshots && snapshotTabs.length > 0) {
+    initialSource.loadSnapshots(snapshotTabs)
+      .then(snapshots => snapshotCompare.setSnapshots(snapshots))
+      .catch(error => console.error('Failed to load snapshots:', error));
+  }
+
+  // ModuleDescriptors for the dependency view, e.g. an export of Okapi's /_/proxy/modules?full=true
+  const descriptorsUrl = params.get('descriptors');
+  if (descriptorsUrl) {
+    loadModuleDescriptorsFromUrl(descriptorsUrl)
+      .then(addDescriptors)
+      .catch(error => {
+        console.error('Failed to load ModuleDescriptors:', error);
+        descriptorPicker.setError('Could not load the ModuleDescriptors from the URL.');
+      });
+  }
+
+  const dashboard = {
+    on(name, handler) {
+      if (!listeners[name]) throw new Error(`Unknown dashboard event: ${name}`);
+      listeners[name].push(handler);
+      return dashboard;
+    },
+
+    off(name, handler) {
+      if (listeners[name]) listeners[name] = listeners[name].filter(listener => listener !== handler);
+      return dashboard;
+    },
+
+    // Zoom to a module and scroll the list to it; false when the data has no such module
+    focusModule(name) {
+      if (!liveData) return false;
+      return showModule(name);
+    },
+
+    // Zoom to a group, e.g. ['Thunderjet', 'app-platform-minimal']
+    focusPath(path) {
+      folioChart.focusPath(path);
+      return dashboard;
+    },
+
+    getFocusPath() {
+      return folioChart.getFocusPath();
+    },
+
+    // Selected values by filter key, e.g. { team: ['Thunderjet'], release: ['Sunflower'] }; other filters are cleared
+    setFilters(selection) {
+      filters.setSelection(selection);
+      return dashboard;
+    },
+
+    getFilters() {
+      return filters.getSelection();
+    },
+
+    getData() {
+      return liveData;
+    },
+
+    getFilteredData() {
+      return filters.getFilteredData();
+    },
+
+    setLayout(layout) {
+      if (!CHART_LAYOUTS[layout]) throw new Error(`Unknown chart layout: ${layout}`);
+      chartControls.setLayout(layout);
+      setLayout(layout);
+      return dashboard;
+    },
+
+    // Load another data source, given like the `source` option
+    load(source) {
+      const next = toSource(source);
+      if (!next) throw new Error('A data source is required');
+      return loadData(next).then(() => dashboard);
+    },
+
+    getChart() {
+      return folioChart;
+    }
+  };
+
+  return dashboard;
+}
+
+// The containers of the components, ids prefixed for pages with several dashboards
+function renderDashboardLayout(element, id) {
+  const box = (name, className, children = []) => {
+    const div = document.createElement('div');
+    if (name) div.id = id(name);
+    if (className) div.className = className;
+    children.forEach(child => div.appendChild(child));
+    return div;
+  };
+
+  element.innerHTML = '';
+  element.classList.add('folio-dashboard');
+
+  element.appendChild(box('status-banner', 'dashboard-banner'));
+  element.appendChild(box(null, 'dashboard-main', [
+    box(null, 'dashboard-chart-column', [
+      box(null, 'dashboard-toolbar', [
+        box('chart-controls'),
+        box(null, 'dashboard-actions', [
+          box('theme-picker', 'dashboard-action'),
+          box('kiosk-mode', 'dashboard-action'),
+          box('export-menu', 'dashboard-action')
+        ])
+      ]),
+      box('color-legend', 'dashboard-legend'),
+      box('release-timeline', 'dashboard-timeline'),
+      box('chart'),
+      box('changelog', 'dashboard-changelog')
+    ]),
+    box(null, 'dashboard-sidebar', [
+      'source-picker', 'snapshot-compare', 'descriptor-picker', 'search', 'filters', 'data-issues', 'modules-list'
+    ].map(name => box(name)))
+  ]));
+}
+
+function injectDashboardStyle() {
+  if (document.getElementById('dashboard-style')) return;
+
+  const style = document.createElement('style');
+  style.id = 'dashboard-style';
+  style.textContent = `
+    .dashboard-main {
+      display: flex;
+      align-items: flex-start;
+      gap: 16px;
+      padding: 0 16px;
+    }
+
+    .dashboard-chart-column {
+      flex: 1 1 0;
+      min-width: 0;
+    }
+
+    /* The sidebar scrolls on its own so the chart stays in view */
+    .dashboard-sidebar {
+      flex: 0 0 300px;
+      position: sticky;
+      top: 0;
+      max-height: 100vh;
+      overflow-y: auto;
+    }
+
+    /* Narrow screens: the sidebar goes below the chart */
+    @media (max-width: 900px) {
+      .dashboard-main {
+        flex-direction: column;
+        align-items: stretch;
+        padding: 0 8px;
+      }
+
+      .dashboard-chart-column {
+        flex: none;
+      }
+
+      .dashboard-sidebar {
+        flex: none;
+        position: static;
+        max-height: none;
+      }
+    }
+
+    /* Kiosk mode: only the chart, filling the screen */
+    body.kiosk {
+      background: var(--folio-surface);
+    }
+
+    body.kiosk .dashboard-banner,
+    body.kiosk .dashboard-toolbar,
+    body.kiosk .dashboard-legend,
+    body.kiosk .dashboard-timeline,
+    body.kiosk .dashboard-changelog,
+    body.kiosk .dashboard-sidebar {
+      display: none;
+    }
+
+    body.kiosk .dashboard-main {
+      padding: 0;
+    }
+
+    .dashboard-toolbar {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+    }
+
+    .dashboard-actions {
+      display: flex;
+    }
+
+    .dashboard-action {
+      padding: 12px 16px 0;
+    }
+  `;
+  document.head.appendChild(style);
+}
@@ -0,0 +1,85 @@
+class DataIssuesPanel {
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.issues = [];
+    this.rowUrl = null;
+  }
+
+  setIssues(issues, rowUrl = null) {
+    this.issues = Array.isArray(issues) ? issues : [];
+    this.rowUrl = typeof rowUrl === 'function' ? rowUrl : null;
+    this._render();
+
+    return this;
+  }
+
+  _render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (this.issues.length === 0) return;
+
+    const errors = this.issues.filter(issue => issue.severity === 'error').length;
+    const warnings = this.issues.length - errors;
+
+    const details = document.createElement('details');
+    details.style.maxWidth = '260px';
+    details.style.margin = '0 16px 12px';
+    details.style.background = 'var(--folio-surface)';
+    details.style.borderRadius = '6px';
+    details.style.border = '1px solid var(--folio-border)';
+    details.style.padding = '6px 8px';
+    details.style.fontSize = '0.85rem';
+    details.style.color = 'var(--folio-muted)';
+
+    const summary = document.createElement('summary');
+    summary.textContent = `Data issues (${errors} errors, ${warnings} warnings)`;
+    summary.style.cursor = 'pointer';
+    summary.style.fontWeight = '500';
+    summary.style.color = errors > 0 ? 'var(--folio-error)' : 'var(--folio-warning)';
+    details.appendChild(summary);
+
+    const ul = document.createElement('ul');
+    ul.style.listStyle = 'none';
+    ul.style.padding = '0';
+    ul.style.margin = '6px 0 0';
+    ul.style.overflowY = 'auto';
+    ul.style.maxHeight = '200px';
+
+    this.issues.forEach(issue => {
+      const li = document.createElement('li');
+      li.style.marginBottom = '4px';
+
+      const icon = document.createElement('span');
+      icon.textContent = issue.severity === 'error' ? '✖ ' : '⚠ ';
+      icon.style.color = issue.severity === 'error' ? 'var(--folio-error)' : 'var(--folio-warning)';
+      li.appendChild(icon);
+      li.appendChild(document.createTextNode(issue.message));
+
+      if (issue.rows.length > 0) {
+        li.appendChild(document.createTextNode(' (row '));
+        issue.rows.forEach((rowNumber, index) => {
+          if (index > 0) li.appendChild(document.createTextNode(', '));
+
+          if (this.rowUrl) {
+            const link = document.createElement('a');
+            link.href = this.rowUrl(rowNumber);
+            link.target = '_blank';
+            link.textContent = rowNumber;
+            link.style.color = 'var(--folio-accent)';
+            li.appendChild(link);
+          } else {
+            li.appendChild(document.createTextNode(rowNumber));
+          }
+        });
+        li.appendChild(document.createTextNode(')'));
+      }
+
+      ul.appendChild(li);
+    });
+
+    details.appendChild(ul);
+    container.appendChild(details);
+  }
+}
@@ -0,0 +1,402 @@
+/**
+ * Data source adapters
+ * Every adapter exposes the same interface so the chart, filters and module list
+ * do not care where the rows come from:
+ *   - load(options) resolves to { data, timestamp, fromCache } where data is an
+ *     array of objects keyed by lower-cased headers (as parseCSVAsObjects produces)
+ *   - describe() returns a short human readable label for the source
+ *   - rowUrl(rowNumber) returns a link to a row in the source, or null
+ * Spreadsheet adapters also expose loadSnapshots(sheetNames), which reads other
+ * tabs of the same spreadsheet as { label, data } snapshots (see snapshots.js), and
+ * accept joins that merge lookup tabs into the module rows (see sheet-join.js).
+ */
+
+/**
+ * Public Google Sheet read through the CSV export (no API key), with offline cache
+ */
+class PublicSheetSource {
+    constructor({ spreadsheetId, sheetName = '0', gid = null, joins = [] }, reader = new GoogleSheetsReader()) {
+        this.spreadsheetId = spreadsheetId;
+        this.sheetName = sheetName;
+        // gid of a tab given by name, for row links
+        this.gid = gid;
+        this.joins = joins;
+        this.reader = reader;
+    }
+
+    /**
+     * Lookup tabs are read through the cache as well and refreshed together with the module tab:
+     * onUpdate gets the module rows joined against the refreshed lookup rows
+     * @param {Object} options - Passed through to readPublicSpreadsheetCached (onUpdate, onError, retries)
+     * @returns {Promise<Object>} { data, timestamp, fromCache }
+     */
+    async load(options = {}) {
+        const { onUpdate = () => {}, onError = () => {}, retries } = options;
+
+        // Fresh rows of each lookup tab, or null when its refresh failed and the cached rows stay
+        const refreshes = [];
+        let lookupsFromCache = false;
+        const joins = await loadJoins(this.joins, async sheet => {
+            let refreshed;
+            refreshes.push(new Promise(resolve => { refreshed = resolve; }));
+
+            const lookup = await this.reader.readPublicSpreadsheetCached(this.spreadsheetId, sheet, {
+                retries,
+                onUpdate: update => refreshed(update.data),
+                onError: () => refreshed(null)
+            });
+            if (lookup.fromCache) {
+                lookupsFromCache = true;
+            } else {
+                refreshed(lookup.data);
+            }
+
+            return lookup.data;
+        });
+
+        const joinRefreshed = async rows => {
+            const lookups = await Promise.all(refreshes);
+            return joinSheets(rows, joins.map((join, i) => ({ ...join, rows: lookups[i] || join.rows })));
+        };
+
+        const result = await this.reader.readPublicSpreadsheetCached(this.spreadsheetId, this.sheetName, {
+            ...options,
+            onUpdate: async update => onUpdate({ ...update, data: await joinRefreshed(update.data) })
+        });
+
+        // A fresh module tab has no background refresh of its own to carry the refreshed lookups
+        if (!result.fromCache && lookupsFromCache) {
+            joinRefreshed(result.data)
+                .then(data => onUpdate({ data, timestamp: Date.now() }))
+                .catch(onError);
+        }
+
+        return { ...result, data: joinSheets(result.data, joins) };
+    }
+
+    describe() {
+        return 'Google Sheet';
+    }
+
+    // A range not starting at the top shifts the row numbers; tabs without a known gid are linked by name
+    rowUrl(rowNumber) {
+        const { sheet, cells } = parseA1Range(this.sheetName);
+        const firstRow = cells && /\d+/.test(cells) ? Number(cells.match(/\d+/)[0]) : 1;
+        const row = rowNumber + firstRow - 1;
+        const gid = /^\d+$/.test(sheet) ? sheet : this.gid;
+
+        if (gid) return `${this.reader.publicBaseUrl}/${this.spreadsheetId}/edit#gid=${gid}&range=A${row}`;
+        return `${this.reader.publicBaseUrl}/${this.spreadsheetId}/edit#range=${encodeURIComponent(`'${sheet.replace(/'/g, "''")}'!A${row}`)}`;
+    }
+
+    /**
+     * @param {Array<string>} sheetNames - Snapshot tabs, oldest first
+     * @returns {Promise<Array>} Array of { label, data }
+     */
+    async loadSnapshots(sheetNames) {
+        return loadSheetSnapshots(this.reader, this.spreadsheetId, sheetNames);
+    }
+}
+
+/**
+ * Google Sheet read through the Sheets API v4 (requires an API key)
+ */
+class SheetsApiSource {
+    constructor({ spreadsheetId, apiKey, range = 'Sheet1!A:Z', joins = [] }, reader = new GoogleSheetsReader(apiKey)) {
+        this.spreadsheetId = spreadsheetId;
+        this.range = range;
+        this.joins = joins;
+        this.reader = reader;
+    }
+
+    /**
+     * @param {Object} options - Retry options (retries)
+     * @returns {Promise<Object>} { data, timestamp, fromCache }
+     */
+    async load(options = {}) {
+        const rows = await retryWithBackoff(
+            () => this.reader.readSpreadsheet(this.spreadsheetId, this.range),
+            { retries: options.retries }
+        );
+        const joins = await loadJoins(this.joins, async sheet =>
+            this.reader.rowsToObjects(await this.reader.readSpreadsheet(this.spreadsheetId, sheet)));
+
+        return { data: joinSheets(this.reader.rowsToObjects(rows), joins), timestamp: Date.now(), fromCache: false };
+    }
+
+    describe() {
+        return `Google Sheets API (${this.range})`;
+    }
+
+    rowUrl() {
+        return null;
+    }
+
+    /**
+     * @param {Array<string>} sheetNames - Snapshot tabs, oldest first
+     * @returns {Promise<Array>} Array of { label, data }
+     */
+    async loadSnapshots(sheetNames) {
+        return loadSheetSnapshots(this.reader, this.spreadsheetId, sheetNames);
+    }
+}
+
+/**
+ * CSV, TSV or JSON file served from an arbitrary URL
+ */
+class UrlSource {
+    constructor({ url, format = null, delimiter = null }, reader = new GoogleSheetsReader()) {
+        this.url = url;
+        this.format = format || detectFormat(url);
+        this.delimiter = delimiter;
+        this.reader = reader;
+    }
+
+    /**
+     * @param {Object} options - Retry options (retries)
+     * @returns {Promise<Object>} { data, timestamp, fromCache }
+     */
+    async load(options = {}) {
+        const text = await retryWithBackoff(
+            () => this.reader.fetchCSVText(this.url),
+            { retries: options.retries }
+        );
+        return {
+            data: parseDataText(text, this.format, this.reader, this.delimiter),
+            timestamp: Date.now(),
+            fromCache: false
+        };
+    }
+
+    describe() {
+        return this.url;
+    }
+
+    rowUrl() {
+        return null;
+    }
+}
+
+/**
+ * Local CSV, TSV or JSON file picked by the user or dropped on the page
+ */
+class FileSource {
+    constructor(file, reader = new GoogleSheetsReader()) {
+        this.file = file;
+        this.format = detectFormat(file.name);
+        this.reader = reader;
+    }
+
+    /**
+     * @returns {Promise<Object>} { data, timestamp, fromCache }
+     */
+    async load() {
+        const text = await this.file.text();
+        return {
+            data: parseDataText(text, this.format, this.reader),
+            timestamp: this.file.lastModified || Date.now(),
+            fromCache: false
+        };
+    }
+
+    describe() {
+        return this.file.name;
+    }
+
+    rowUrl() {
+        return null;
+    }
+}
+
+/**
+ * Static snapshot written by prefetch.js and deployed next to the page, so the page
+ * needs no CORS proxy; when it is missing or unreadable the fallback source is read instead
+ */
+class PrefetchedSource {
+    constructor({ url = 'data.json', fallback = null }, reader = new GoogleSheetsReader()) {
+        this.url = url;
+        this.fallback = fallback;
+        this.reader = reader;
+        this.source = null;
+        this.usingFallback = false;
+    }
+
+    /**
+     * @param {Object} options - Passed through to the fallback source
+     * @returns {Promise<Object>} { data, timestamp, fromCache }
+     */
+    async load(options = {}) {
+        try {
+            const { data, timestamp, source } = readPrefetchedData(JSON.parse(await this.reader.fetchCSVText(this.url)));
+            this.source = source;
+            this.usingFallback = false;
+            return { data, timestamp, fromCache: false };
+        } catch (error) {
+            if (!this.fallback) throw error;
+
+            console.warn(`No usable prefetched data at ${this.url}, reading ${this.fallback.describe()} instead:`, error);
+            this.usingFallback = true;
+            return this.fallback.load(options);
+        }
+    }
+
+    describe() {
+        return this.usingFallback ? this.fallback.describe() : this.url;
+    }
+
+    // Rows prefetched from a public sheet still link to that sheet
+    rowUrl(rowNumber) {
+        if (this.usingFallback) return this.fallback.rowUrl(rowNumber);
+        if (!this.source || this.source.type !== 'sheet') return null;
+
+        return new PublicSheetSource(this.source, this.reader).rowUrl(rowNumber);
+    }
+
+    /**
+     * Snapshots are other tabs of the spreadsheet, so they are read live through the fallback
+     * @param {Array<string>} sheetNames - Snapshot tabs, oldest first
+     * @returns {Promise<Array>} Array of { label, data }
+     */
+    async loadSnapshots(sheetNames) {
+        if (!this.fallback || !this.fallback.loadSnapshots) return [];
+        return this.fallback.loadSnapshots(sheetNames);
+    }
+}
+
+const PREFETCHED_DATA_VERSION = 1;
+
+/**
+ * Build the content of a prefetched data file
+ * @param {Array} data - Normalized module rows
+ * @param {Object} source - Where the rows came from, e.g. { type: 'sheet', spreadsheetId, sheetName }
+ * @returns {Object} { version, timestamp, source, data, rowNumbers }
+ */
+function createPrefetchedData(data, source = null) {
+    return {
+        version: PREFETCHED_DATA_VERSION,
+        timestamp: Date.now(),
+        source,
+        // Row numbers are not enumerable, so they are stored next to the data (as in SheetsCache)
+        rowNumbers: data.map(row => getRowNumber(row) || null),
+        data
+    };
+}
+
+/**
+ * Read a prefetched data file, restoring the sheet row numbers
+ * @param {Object} json - Parsed content from createPrefetchedData
+ * @returns {Object} { data, timestamp, source }
+ */
+function readPrefetchedData(json) {
+    if (!json || json.version !== PREFETCHED_DATA_VERSION) {
+        throw new Error(`Unsupported prefetched data version: ${json && json.version}`);
+    }
+    if (!Array.isArray(json.data)) throw new Error('Prefetched data has no rows');
+
+    const rowNumbers = json.rowNumbers || [];
+    json.data.forEach((row, index) => setRowNumber(row, rowNumbers[index]));
+
+    return { data: json.data, timestamp: json.timestamp, source: json.source || null };
+}
+
+/**
+ * Guess the data format from a file name or URL
+ * @param {string} name - File name or URL
+ * @returns {string} 'json', 'tsv' or 'csv'
+ */
+function detectFormat(name = '') {
+    const path = String(name).split(/[?#]/)[0].toLowerCase();
+    if (path.endsWith('.json')) return 'json';
+    if (path.endsWith('.tsv') || path.endsWith('.tab')) return 'tsv';
+    return 'csv';
+}
+
+/**
+ * Parse CSV/TSV/JSON text into normalized objects
+ * @param {string} text - Raw file content
+ * @param {string} format - 'json', 'tsv' or 'csv'
+ * @param {GoogleSheetsReader} reader - Reader used for parsing and normalization
+ * @param {string} delimiter - Explicit delimiter overriding the format default
+ * @returns {Array} Array of objects
+ */
+function parseDataText(text, format, reader, delimiter = null) {
+    if (format === 'json') {
+        const json = JSON.parse(text);
+        // Accept a bare array or an object wrapping it, e.g. { data: [...] }
+        const records = Array.isArray(json) ? json : (json.data || json.rows || []);
+
+        if (!Array.isArray(records)) throw new Error('JSON data must be an array of rows or objects');
+        if (records.length > 0 && Array.isArray(records[0])) return reader.rowsToObjects(records);
+        return reader.normalizeObjects(records);
+    }
+
+    return reader.parseCSVAsObjects(text, { delimiter: delimiter || (format === 'tsv' ? '\t' : ',') });
+}
+
+/**
+ * Build a data source from URL query parameters
+ *   (no source parameters)   data.json written by prefetch.js, falling back to the default sheet
+ *   ?source=prefetched[&data=<data.json url>]
+ *   ?source=sheet&id=<spreadsheetId>&gid=<gid, sheet name or A1 range>
+ *   ?source=sheet&id=<spreadsheetId>&sheet=<sheet name or A1 range>[&gid=<gid of that tab, for row links>]
+ *   ?source=api&id=<spreadsheetId>&key=<apiKey>&range=<A1 range>
+ * Both spreadsheet sources take &join=<tab>|<key>[|<module column>],... (see parseJoinSpecs)
+ *   ?source=url&url=<csv/tsv/json url>[&format=csv|tsv|json][&delimiter=;]
+ *   ?source=file   (no source; the user is asked to pick a file)
+ * @param {URLSearchParams} params - Query parameters
+ * @param {Object} defaults - Fallback values ({ spreadsheetId, sheetName, dataUrl })
+ * @returns {Object|null} Data source, or null when the user has to pick one
+ */
+function createDataSourceFromParams(params, defaults = {}) {
+    const sheetParams = ['id', 'gid', 'sheet', 'join'].some(name => params.has(name));
+    const source = params.get('source') || (params.get('url') ? 'url' : (sheetParams ? 'sheet' : 'prefetched'));
+    const spreadsheetId = params.get('id') || defaults.spreadsheetId;
+
+    switch (source) {
+        case 'url':
+            return new UrlSource({
+                url: params.get('url'),
+                format: params.get('format'),
+                delimiter: params.get('delimiter')
+            });
+        case 'api':
+            return new SheetsApiSource({
+                spreadsheetId,
+                apiKey: params.get('key'),
+                range: params.get('range') || undefined,
+                joins: parseJoinSpecs(params.get('join'))
+            });
+        case 'file':
+            return null;
+        case 'prefetched':
+            return new PrefetchedSource({
+                url: params.get('data') || defaults.dataUrl || 'data.json',
+                fallback: new PublicSheetSource({ spreadsheetId, sheetName: defaults.sheetName || '0' })
+            });
+        case 'sheet':
+        default:
+            return new PublicSheetSource({
+                spreadsheetId,
+                sheetName: params.get('sheet') || params.get('gid') || defaults.sheetName || '0',
+                gid: params.get('sheet') && params.get('gid') || null,
+                joins: parseJoinSpecs(params.get('join'))
+            });
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PublicSheetSource,
+        SheetsApiSource,
+        UrlSource,
+        FileSource,
+        PrefetchedSource,
+        PREFETCHED_DATA_VERSION,
+        createPrefetchedData,
+        readPrefetchedData,
+        detectFormat,
+        parseDataText,
+        createDataSourceFromParams
+    };
+}
@@ -0,0 +1,108 @@
+/**
+ * Data quality checks for the module ownership sheet
+ */
+
+const REQUIRED_COLUMNS = ['module', 'team', 'application', 'product owner', 'dev lead/contact', 'first release'];
+
+/**
+ * Validate loaded module rows
+ * @param {Array} rows - Objects keyed by lower-cased headers (as parseCSVAsObjects produces)
+ * @param {Object} options - Validation options
+ * @param {Array<string>} options.requiredColumns - Columns every sheet must have
+ * @returns {Array} Issues: { severity: 'error'|'warning', type, message, module, rows }
+ */
+function validateModules(rows, options = {}) {
+    const requiredColumns = options.requiredColumns || REQUIRED_COLUMNS;
+    const issues = [];
+    const rowNumberOf = (row, index) => getRowNumber(row) || index + 2;
+
+    if (rows.length === 0) {
+        return [{ severity: 'error', type: 'empty', message: 'The sheet has no data rows', module: null, rows: [] }];
+    }
+
+    // Missing required columns
+    const columns = new Set(rows.flatMap(row => Object.keys(row)));
+    requiredColumns
+        .filter(column => !columns.has(column))
+        .forEach(column => issues.push({
+            severity: 'error',
+            type: 'missing-column',
+            message: `Required column "${column}" is missing`,
+            module: null,
+            rows: []
+        }));
+
+    const byModule = new Map();
+
+    rows.forEach((row, index) => {
+        const rowNumber = rowNumberOf(row, index);
+        const module = row.module;
+
+        if (!module) {
+            issues.push({
+                severity: 'error',
+                type: 'empty-module',
+                message: 'Row has no module name',
+                module: null,
+                rows: [rowNumber]
+            });
+            return;
+        }
+
+        if (columns.has('team') && getTeams(row).length === 0) {
+            issues.push({
+                severity: 'error',
+                type: 'empty-team',
+                message: `Module "${module}" has no team`,
+                module,
+                rows: [rowNumber]
+            });
+        }
+
+        if (getModuleType(module) === 'other') {
+            issues.push({
+                severity: 'warning',
+                type: 'unknown-prefix',
+                message: `Module "${module}" has an unknown name prefix`,
+                module,
+                rows: [rowNumber]
+            });
+        }
+
+        if (!byModule.has(module)) byModule.set(module, []);
+        byModule.get(module).push({ row, rowNumber });
+    });
+
+    byModule.forEach((entries, module) => {
+        if (entries.length < 2) return;
+
+        const rowNumbers = entries.map(entry => entry.rowNumber);
+        const teams = [...new Set(entries.map(entry => getTeams(entry.row).join(MEMBERSHIP_SEPARATOR + ' ')).filter(Boolean))];
+
+        if (teams.length > 1) {
+            issues.push({
+                severity: 'error',
+                type: 'multiple-teams',
+                message: `Module "${module}" is assigned to different teams on several rows: ${teams.join(', ')}` +
+                    ` (list co-owning teams in one cell, separated by "${MEMBERSHIP_SEPARATOR}")`,
+                module,
+                rows: rowNumbers
+            });
+        } else {
+            issues.push({
+                severity: 'warning',
+                type: 'duplicate-module',
+                message: `Module "${module}" is listed ${entries.length} times`,
+                module,
+                rows: rowNumbers
+            });
+        }
+    });
+
+    return issues;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { REQUIRED_COLUMNS, validateModules };
+}
@@ -0,0 +1,188 @@
+/**
+ * Module dependencies derived from the interfaces modules provide and require
+ * Interfaces come from `provides`/`requires` columns of the sheet (e.g. "users 16.1, permissions 5.6")
+ * or from FOLIO ModuleDescriptor JSON files; a module depends on every module providing an
+ * interface it requires.
+ */
+
+/**
+ * Columns listing interfaces; optional interfaces count as requirements
+ */
+const INTERFACE_COLUMNS = {
+    provides: ['provides', 'provided interfaces'],
+    requires: ['requires', 'required interfaces', 'optional']
+};
+
+/**
+ * Parse a cell listing interfaces, with or without versions
+ * @param {string} value - e.g. "users 16.1, permissions 5.6" or "users@16.1; login"
+ * @returns {Array<string>} Interface ids; system interfaces (starting with "_") are left out
+ */
+function parseInterfaceList(value) {
+    return [...new Set(String(value || '')
+        .split(/[,;\n]/)
+        .map(entry => entry.trim().split(/[\s@]/)[0])
+        .filter(id => id && !id.startsWith('_')))];
+}
+
+/**
+ * Module name of a ModuleDescriptor id, e.g. "mod-users-19.2.0" → "mod-users"
+ * @param {string} id - Descriptor id
+ * @returns {string} Module name
+ */
+function descriptorModuleName(id) {
+    return String(id).replace(/-\d+(\.\d+)*(-\S+)?$/, '');
+}
+
+/**
+ * Read the interfaces of a FOLIO ModuleDescriptor
+ * @param {Object} descriptor - ModuleDescriptor, { id, provides: [{ id }], requires: [{ id }], optional: [{ id }] }
+ * @returns {Object} { module, provides, requires }
+ */
+function readModuleDescriptor(descriptor) {
+    const ids = list => (Array.isArray(list) ? list : [])
+        .map(item => item && item.id)
+        .filter(id => id && !id.startsWith('_'));
+
+    return {
+        module: descriptorModuleName(descriptor.id || descriptor.name || ''),
+        provides: ids(descriptor.provides),
+        requires: [...new Set(ids(descriptor.requires).concat(ids(descriptor.optional)))]
+    };
+}
+
+/**
+ * Parse ModuleDescriptor JSON holding one descriptor or an array of them
+ * @param {string} text - JSON text
+ * @returns {Array} Array of { module, provides, requires }
+ */
+function parseModuleDescriptors(text) {
+    const json = JSON.parse(text);
+    const descriptors = Array.isArray(json) ? json : [json];
+
+    if (descriptors.some(descriptor => !descriptor || typeof descriptor !== 'object' || !descriptor.id)) {
+        throw new Error('ModuleDescriptor JSON must be a descriptor or an array of descriptors with an id');
+    }
+
+    return descriptors.map(readModuleDescriptor);
+}
+
+/**
+ * Read ModuleDescriptor files picked by the user
+ * @param {FileList|Array<File>} files - JSON files
+ * @returns {Promise<Array>} Array of { module, provides, requires }
+ */
+async function loadModuleDescriptorFiles(files) {
+    const lists = await Promise.all(Array.from(files).map(async file => parseModuleDescriptors(await file.text())));
+    return lists.flat();
+}
+
+/**
+ * Read ModuleDescriptors from a URL, e.g. an export of Okapi's /_/proxy/modules?full=true
+ * @param {string} url - JSON URL
+ * @param {GoogleSheetsReader} reader - Reader used for fetching
+ * @returns {Promise<Array>} Array of { module, provides, requires }
+ */
+async function loadModuleDescriptorsFromUrl(url, reader = new GoogleSheetsReader()) {
+    const text = await retryWithBackoff(() => reader.fetchCSVText(url));
+    return parseModuleDescriptors(text);
+}
+
+/**
+ * Build the dependency graph of the given modules
+ * Descriptors take precedence over the interface columns of the same module.
+ * @param {Array<string>} modules - Module names to include
+ * @param {Array} rows - Sheet rows, possibly with provides/requires columns
+ * @param {Array} descriptors - Parsed ModuleDescriptors
+ * @returns {Object} { links: [{ source, target, interfaces }], missing: Map(module → unresolved interfaces) }
+ *   where source depends on target
+ */
+function buildDependencyGraph(modules, rows = [], descriptors = []) {
+    const interfaces = new Map();
+
+    rows.forEach(row => {
+        if (!row.module || interfaces.has(row.module)) return;
+        interfaces.set(row.module, {
+            provides: INTERFACE_COLUMNS.provides.flatMap(column => parseInterfaceList(row[column])),
+            requires: INTERFACE_COLUMNS.requires.flatMap(column => parseInterfaceList(row[column]))
+        });
+    });
+
+    descriptors.forEach(descriptor => {
+        interfaces.set(descriptor.module, { provides: descriptor.provides, requires: descriptor.requires });
+    });
+
+    const included = new Set(modules);
+    const providers = new Map();
+
+    included.forEach(module => {
+        ((interfaces.get(module) || {}).provides || []).forEach(id => {
+            if (!providers.has(id)) providers.set(id, []);
+            providers.get(id).push(module);
+        });
+    });
+
+    const links = new Map();
+    const missing = new Map();
+
+    included.forEach(module => {
+        ((interfaces.get(module) || {}).requires || []).forEach(id => {
+            const targets = (providers.get(id) || []).filter(target => target !== module);
+
+            if (targets.length === 0) {
+                if (!missing.has(module)) missing.set(module, []);
+                missing.get(module).push(id);
+            }
+
+            targets.forEach(target => {
+                const key = `${module}\u0000${target}`;
+                if (!links.has(key)) links.set(key, { source: module, target, interfaces: [] });
+                links.get(key).interfaces.push(id);
+            });
+        });
+    });
+
+    return { links: [...links.values()], missing };
+}
+
+/**
+ * Modules reachable from a module along the links, transitively
+ * @param {Array} links - Links from buildDependencyGraph (source/target as names)
+ * @param {string} module - Start module
+ * @param {string} direction - 'upstream' (what it depends on) or 'downstream' (what depends on it)
+ * @returns {Set<string>} Module names, without the start module
+ */
+function collectDependencies(links, module, direction) {
+    const from = direction === 'upstream' ? 'source' : 'target';
+    const to = direction === 'upstream' ? 'target' : 'source';
+    const found = new Set();
+    const queue = [module];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        links.forEach(link => {
+            const next = link[to];
+            if (link[from] === current && next !== module && !found.has(next)) {
+                found.add(next);
+                queue.push(next);
+            }
+        });
+    }
+
+    return found;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INTERFACE_COLUMNS,
+        parseInterfaceList,
+        descriptorModuleName,
+        readModuleDescriptor,
+        parseModuleDescriptors,
+        loadModuleDescriptorFiles,
+        loadModuleDescriptorsFromUrl,
+        buildDependencyGraph,
+        collectDependencies
+    };
+}
@@ -0,0 +1,347 @@
+class DependencyChart extends HierarchyChart {
+  constructor(container, width, height, onFocus, options = {}) {
+    super(container, width, height, onFocus, options);
+    this.getDescriptors = typeof options.getDescriptors === 'function' ? options.getDescriptors : () => [];
+    this.rows = [];
+    this.graph = null;
+    this._related = null;
+  }
+
+  setData(data) {
+    this.rows = data;
+
+    return super.setData(data);
+  }
+
+  // Focused module only, e.g. ["mod-users"]
+  getFocusPath() {
+    if (!this.focusNode || this.focusNode === this.root) return [];
+    return [this.focusNode.data.name];
+  }
+
+  focusPath(path = [], { animate = true } = {}) {
+    if (!this.root) return this;
+
+    const node = this._findNode(path[path.length - 1]) || this.root;
+    if (node !== this.focusNode) this._zoom(node, animate ? 750 : 0);
+
+    return this;
+  }
+
+  focusModule(name) {
+    const node = this._findNode(name);
+    if (!node) return false;
+
+    if (node !== this.focusNode) this._zoom(node, 750);
+    this._highlight(node);
+
+    return true;
+  }
+
+  // The graph has no groups to cycle through
+  getGroups() {
+    return [];
+  }
+
+  _findNode(name) {
+    return this._graphNodes ? this._graphNodes.find(d => d.data.name === name) : null;
+  }
+
+  // The module list follows the focused module and the modules it is connected to
+  _setFocus(node) {
+    this.focusNode = node;
+
+    if (node === this.root) {
+      this.onFocus(this.root.data);
+    } else {
+      const related = this._graphNodes.filter(d => d === node || this._related.upstream.has(d.data.name) || this._related.downstream.has(d.data.name));
+      this.onFocus({ name: node.data.name, children: related.map(d => d.data) });
+    }
+
+    this.onZoom(this.getFocusPath());
+    this._applyAccessibility();
+    this._announceFocus(node);
+  }
+
+  _announceFocus(node) {
+    if (node === this.root) {
+      super._announceFocus(node);
+      return;
+    }
+
+    const modules = count => `${count} ${count === 1 ? 'module' : 'modules'}`;
+    HierarchyChart.announce(`${node.data.name} depends on ${modules(this._related.upstream.size)} and is used by ${modules(this._related.downstream.size)}`);
+  }
+
+  // Modules form a flat list for keyboard navigation, in the order they were drawn
+  _keyboardParent() {
+    return this.root;
+  }
+
+  _isVisible() {
+    return true;
+  }
+
+  // Enter focuses a module, and opens its details when it is already focused
+  _activate(d) {
+    if (d !== this.focusNode) {
+      this._zoom(d, 750);
+    } else {
+      this.onModuleClick(d.data.row);
+    }
+  }
+
+  // Modules unrelated to the focused one fade out
+  _fillOpacity(d) {
+    const opacity = super._fillOpacity(d);
+    if (!this._related || d === this.focusNode) return opacity;
+
+    const name = d.data.name;
+    if (this._related.upstream.has(name) || this._related.downstream.has(name)) return opacity;
+
+    return 0.15;
+  }
+
+  // kind: "link", "upstream" (what the focused module depends on) or "downstream" (what uses it)
+  _linkColor(kind) {
+    return themeColor(kind === "upstream" || kind === "downstream" ? kind : "link");
+  }
+
+  _describe(d) {
+    const description = super._describe(d);
+    if (d.children || !this.graph) return description;
+
+    const name = d.data.name;
+    const requires = this.graph.links.filter(link => link.source === name).length;
+    const usedBy = this.graph.links.filter(link => link.target === name).length;
+    const modules = count => `${count} ${count === 1 ? 'module' : 'modules'}`;
+    description.rows.push(['Depends on', modules(requires)], ['Used by', modules(usedBy)]);
+
+    const missing = this.graph.missing.get(name);
+    if (missing) description.rows.push(['Unresolved', missing.join(', ')]);
+
+    return description;
+  }
+
+  // Pulse the module's node
+  _highlight(node) {
+    this._nodes
+      .filter(d => d === node)
+      .raise()
+      .attr("stroke", themeColor("text"))
+      .transition("pulse")
+        .delay(300)
+        .duration(400)
+        .attr("stroke-width", 5)
+      .transition()
+        .duration(400)
+        .attr("stroke-width", 0)
+        .on("end", () => this._applyChanges());
+  }
+
+  render() {
+    const _self = this;
+
+    if (!this.data) throw Error('data is not defined');
+
+    const width = this.width;
+    const height = this.height;
+
+    const root = this._hierarchy();
+    this._related = null;
+    this.colorEncoding = createColorEncoding(this.colorBy, root.leaves().map(d => d.data.row).filter(Boolean));
+
+    // One node per module; shared modules appear once
+    const seen = new Set();
+    const nodes = root.leaves().filter(d => {
+      if (!d.data.row || seen.has(d.data.name)) return false;
+      seen.add(d.data.name);
+      return true;
+    });
+
+    const graph = buildDependencyGraph(nodes.map(d => d.data.name), this.rows, this.getDescriptors());
+    const byName = new Map(nodes.map(d => [d.data.name, d]));
+    const links = graph.links.map(link => ({ ...link, source: byName.get(link.source), target: byName.get(link.target) }));
+
+    this.graph = graph;
+    this._graphNodes = nodes;
+
+    const radius = d3.scaleSqrt()
+      .domain([0, d3.max(nodes, d => d.value) || 1])
+      .range([4, 18]);
+
+    // Lay the graph out up front instead of animating the simulation
+    const simulation = d3.forceSimulation(nodes)
+      .force("link", d3.forceLink(links).distance(70))
+      .force("charge", d3.forceManyBody().strength(-140))
+      .force("x", d3.forceX())
+      .force("y", d3.forceY())
+      .force("collide", d3.forceCollide(d => radius(d.value) + 3))
+      .stop();
+
+    for (let i = 0; i < 300; i++) simulation.tick();
+
+    const [x0, x1] = d3.extent(nodes, d => d.x);
+    const [y0, y1] = d3.extent(nodes, d => d.y);
+    const padding = 40;
+    const viewWidth = Math.max((x1 - x0) || 0, 1) + padding * 2;
+    const viewHeight = Math.max((y1 - y0) || 0, 1) + padding * 2;
+    const scale = Math.min(width / viewWidth, height / viewHeight, 1.5);
+
+    const svg = d3.create("svg")
+      .attr("viewBox", [-width / 2, -height / 2, width, height])
+      .attr("width", width)
+      .attr("height", height)
+      .attr("style", "max-width: 100%; display: block; margin: 0 auto; font: 11px 'Segoe UI', 'Roboto', 'Arial', sans-serif;")
+      .on("click", () => zoom(root));
+
+    svg.append("defs")
+      .selectAll("marker")
+      .data(["link", "upstream", "downstream"])
+      .join("marker")
+      .attr("id", d => `dependency-arrow-${d}`)
+      .attr("viewBox", "0 -4 8 8")
+      .attr("refX", 8)
+      .attr("markerWidth", 6)
+      .attr("markerHeight", 6)
+      .attr("orient", "auto")
+      .append("path")
+      .attr("d", "M0,-4L8,0L0,4")
+      .attr("fill", d => this._linkColor(d));
+
+    const content = svg.append("g")
+      .attr("transform", `scale(${scale}) translate(${-(x0 + x1) / 2 || 0},${-(y0 + y1) / 2 || 0})`);
+
+    // Links end at the edge of the target node
+    const link = content.append("g")
+      .attr("fill", "none")
+      .selectAll("line")
+      .data(links)
+      .join("line")
+      .attr("x1", d => d.source.x)
+      .attr("y1", d => d.source.y)
+      .attr("x2", d => {
+        const distance = Math.hypot(d.target.x - d.source.x, d.target.y - d.source.y) || 1;
+        return d.target.x - (d.target.x - d.source.x) * (radius(d.target.value) + 2) / distance;
+      })
+      .attr("y2", d => {
+        const distance = Math.hypot(d.target.x - d.source.x, d.target.y - d.source.y) || 1;
+        return d.target.y - (d.target.y - d.source.y) * (radius(d.target.value) + 2) / distance;
+      });
+
+    const node = content.append("g")
+      .selectAll("circle")
+      .data(nodes)
+      .join("circle")
+      .attr("cx", d => d.x)
+      .attr("cy", d => d.y)
+      .attr("r", d => radius(d.value))
+      .attr("fill", d => this._leafColor(d))
+      .style("cursor", "pointer")
+      .on("mouseover", function(event, d) {
+        d3.select(this).attr("stroke", themeColor("hover"));
+        _self._showTooltip(event, d);
+      })
+      .on("mousemove", (event) => this.tooltip.move(event))
+      .on("mouseout", function(event, d) {
+        d3.select(this).attr("stroke", _self._changeStroke(d));
+        _self.tooltip.hide();
+      })
+      .on("click", (event, d) => {
+        event.stopPropagation();
+
+        // A second click on the focused module opens its details
+        if (d === focus) {
+          this.onModuleClick(d.data.row);
+        } else {
+          zoom(d);
+        }
+      });
+
+    const label = content.append("g")
+      .attr("pointer-events", "none")
+      .attr("text-anchor", "middle")
+      .selectAll("text")
+      .data(nodes)
+      .join("text")
+      .attr("x", d => d.x)
+      .attr("y", d => d.y - radius(d.value) - 3)
+      .style("fill", themeColor("text"))
+      .text(d => this._nodeLabel(d));
+
+    // Teams of the modules the focused one depends on and is used by
+    const summary = svg.append("text")
+      .attr("x", -width / 2 + 8)
+      .attr("y", -height / 2 + 18)
+      .style("font-size", "13px")
+      .style("fill", themeColor("heading"));
+
+    if (links.length === 0) {
+      summary.text("No dependencies found: add requires/provides columns or load ModuleDescriptor files");
+    }
+
+    let focus = root;
+
+    this.root = root;
+    this.focusNode = root;
+    this._zoom = zoom;
+    this._nodes = node;
+    this._enableKeyboard(svg);
+
+    function zoom(d) {
+      focus = d;
+
+      _self._related = d === root ? null : {
+        upstream: collectDependencies(graph.links, d.data.name, 'upstream'),
+        downstream: collectDependencies(graph.links, d.data.name, 'downstream')
+      };
+
+      _self._setFocus(d);
+      update();
+    }
+
+    function update() {
+      const related = _self._related;
+      const direction = l => {
+        if (!related) return "link";
+        const source = l.source.data.name;
+        const target = l.target.data.name;
+        if ((l.source === focus || related.upstream.has(source)) && (l.target === focus || related.upstream.has(target))) return "upstream";
+        if ((l.target === focus || related.downstream.has(target)) && (l.source === focus || related.downstream.has(source))) return "downstream";
+        return null;
+      };
+
+      link
+        .attr("stroke", l => _self._linkColor(direction(l) || "link"))
+        .attr("stroke-opacity", l => !related || direction(l) ? 0.8 : 0.1)
+        .attr("stroke-width", l => related && direction(l) ? 1.8 : 1)
+        .attr("marker-end", l => `url(#dependency-arrow-${direction(l) || "link"})`);
+
+      // Label every module in small graphs, otherwise only the focused module and its neighbourhood
+      label.style("display", d => {
+        if (related) return d === focus || related.upstream.has(d.data.name) || related.downstream.has(d.data.name) ? null : "none";
+        return nodes.length <= 40 ? null : "none";
+      });
+
+      _self._applyHidden();
+
+      if (related) {
+        summary.text(`${focus.data.name} depends on ${describe(related.upstream)} and is used by ${describe(related.downstream)}`);
+      } else if (links.length > 0) {
+        summary.text("Click a module to see what it depends on and what uses it");
+      }
+    }
+
+    function describe(names) {
+      if (names.size === 0) return "no modules";
+
+      const teams = [...new Set([...names].flatMap(name => getTeams(byName.get(name).data.row)))].sort(d3.ascending);
+      return `${names.size} ${names.size === 1 ? "module" : "modules"} (${teams.join(", ") || "no team"})`;
+    }
+
+    update();
+    this._applyChanges();
+
+    document.getElementById(this.container).appendChild(svg.node());
+  }
+}
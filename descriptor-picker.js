@@ -0,0 +1,88 @@
+class DescriptorPicker {
+  constructor(containerId, onLoad) {
+    this.containerId = containerId;
+    this.onLoad = typeof onLoad === 'function' ? onLoad : () => {};
+    this.count = 0;
+    this.error = '';
+    this.open = false;
+    this._render();
+  }
+
+  // Number of descriptors loaded so far, shown in the summary
+  setCount(count) {
+    this.count = count;
+    this._render();
+
+    return this;
+  }
+
+  setError(message) {
+    this.error = message;
+    this._render();
+
+    return this;
+  }
+
+  _loadFiles(files) {
+    this.error = '';
+
+    loadModuleDescriptorFiles(files)
+      .then(descriptors => this.onLoad(descriptors))
+      .catch(error => {
+        console.error('Failed to read ModuleDescriptor files:', error);
+        this.setError('Could not read the ModuleDescriptor files.');
+      });
+  }
+
+  _render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    container.innerHTML = '';
+
+    const details = document.createElement('details');
+    details.open = this.open;
+    details.style.maxWidth = '260px';
+    details.style.margin = '0 16px 12px';
+    details.style.fontSize = '0.9rem';
+    details.style.color = 'var(--folio-muted)';
+    details.addEventListener('toggle', () => { this.open = details.open; });
+
+    const summary = document.createElement('summary');
+    summary.textContent = this.count > 0 ? `Module dependencies (${this.count} descriptors)` : 'Module dependencies';
+    summary.style.cursor = 'pointer';
+    details.appendChild(summary);
+
+    const body = document.createElement('div');
+    body.style.display = 'flex';
+    body.style.flexDirection = 'column';
+    body.style.gap = '8px';
+    body.style.marginTop = '8px';
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.multiple = true;
+    fileInput.accept = '.json,application/json';
+    fileInput.setAttribute('aria-label', 'ModuleDescriptor files');
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) this._loadFiles(fileInput.files);
+    });
+    body.appendChild(fileInput);
+
+    const hint = document.createElement('div');
+    hint.textContent = 'Load ModuleDescriptor JSON files, or add requires/provides columns to the sheet, then pick the Dependencies layout';
+    hint.style.fontSize = '0.8rem';
+    hint.style.color = 'var(--folio-subtle)';
+    body.appendChild(hint);
+
+    if (this.error) {
+      const error = document.createElement('div');
+      error.textContent = this.error;
+      error.style.fontSize = '0.8rem';
+      error.style.color = 'var(--folio-error)';
+      body.appendChild(error);
+    }
+
+    details.appendChild(body);
+    container.appendChild(details);
+  }
+}
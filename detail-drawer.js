@@ -0,0 +1,122 @@
+class DetailDrawer {
+  constructor() {
+    this.element = document.createElement('aside');
+    this.element.setAttribute('role', 'dialog');
+    this.element.setAttribute('aria-label', 'Module details');
+    this.element.style.position = 'fixed';
+    this.element.style.top = '0';
+    this.element.style.right = '0';
+    this.element.style.bottom = '0';
+    this.element.style.zIndex = '900';
+    this.element.style.width = '340px';
+    this.element.style.maxWidth = '100%';
+    this.element.style.boxSizing = 'border-box';
+    this.element.style.padding = '16px 20px';
+    this.element.style.overflowY = 'auto';
+    this.element.style.background = 'var(--folio-surface)';
+    this.element.style.boxShadow = '-4px 0 16px var(--folio-shadow)';
+    this.element.style.transform = 'translateX(100%)';
+    this.element.style.transition = 'transform 0.25s ease';
+    this.element.style.visibility = 'hidden';
+    document.body.appendChild(this.element);
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) this.close();
+    });
+  }
+
+  isOpen() {
+    return this.element.style.visibility === 'visible';
+  }
+
+  // Show every column of a sheet row
+  open(row) {
+    this.element.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.style.display = 'flex';
+    header.style.alignItems = 'flex-start';
+    header.style.justifyContent = 'space-between';
+    header.style.gap = '8px';
+    header.style.marginBottom = '12px';
+
+    const title = document.createElement('h2');
+    title.textContent = row.module || '(unnamed module)';
+    title.style.margin = '0';
+    title.style.fontSize = '1.3rem';
+    title.style.color = 'var(--folio-accent)';
+    title.style.wordBreak = 'break-word';
+    header.appendChild(title);
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.textContent = '×';
+    closeBtn.setAttribute('aria-label', 'Close details');
+    closeBtn.style.border = 'none';
+    closeBtn.style.background = 'none';
+    closeBtn.style.fontSize = '1.5rem';
+    closeBtn.style.lineHeight = '1';
+    closeBtn.style.cursor = 'pointer';
+    closeBtn.style.color = 'var(--folio-subtle)';
+    closeBtn.addEventListener('click', () => this.close());
+    header.appendChild(closeBtn);
+
+    this.element.appendChild(header);
+
+    const type = document.createElement('div');
+    type.textContent = MODULE_TYPE_LABELS[getModuleType(row.module)] || getModuleType(row.module);
+    type.style.display = 'inline-block';
+    type.style.marginBottom = '12px';
+    type.style.padding = '2px 8px';
+    type.style.borderRadius = '10px';
+    type.style.fontSize = '0.8rem';
+    type.style.color = '#fff';
+    type.style.background = getModuleColor(row.module);
+    this.element.appendChild(type);
+
+    if (isSharedModule(row)) {
+      const shared = type.cloneNode();
+      shared.textContent = 'Shared';
+      shared.style.marginLeft = '6px';
+      shared.style.color = 'var(--folio-on-badge)';
+      shared.style.background = 'var(--folio-badge)';
+      this.element.appendChild(shared);
+    }
+
+    const list = document.createElement('dl');
+    list.style.margin = '0';
+
+    Object.entries(row).forEach(([column, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = column;
+      term.style.fontWeight = '500';
+      term.style.color = 'var(--folio-subtle)';
+      term.style.fontSize = '0.85rem';
+      term.style.textTransform = 'capitalize';
+
+      // Several teams or applications are listed one per line
+      const members = MEMBERSHIP_COLUMNS.includes(column) ? splitMembership(value) : [];
+
+      const description = document.createElement('dd');
+      description.textContent = members.length > 1 ? members.join('\n') : value === '' ? '-' : value;
+      description.style.margin = '0 0 10px';
+      description.style.color = 'var(--folio-text)';
+      description.style.whiteSpace = 'pre-line';
+      description.style.wordBreak = 'break-word';
+
+      list.appendChild(term);
+      list.appendChild(description);
+    });
+
+    this.element.appendChild(list);
+
+    this.element.style.visibility = 'visible';
+    this.element.style.transform = 'translateX(0)';
+    closeBtn.focus();
+  }
+
+  close() {
+    this.element.style.transform = 'translateX(100%)';
+    this.element.style.visibility = 'hidden';
+  }
+}
@@ -0,0 +1,114 @@
+class ExportMenu {
+  constructor(containerId, { getSvg, getRows, getTree, filename = 'folio-modules' } = {}) {
+    this.containerId = containerId;
+    this.getSvg = getSvg;
+    this.getRows = getRows;
+    this.getTree = getTree;
+    this.filename = filename;
+    this._render();
+  }
+
+  _name(extension) {
+    const date = new Date().toISOString().slice(0, 10);
+    return `${this.filename}-${date}.${extension}`;
+  }
+
+  exportSvg() {
+    const svg = this.getSvg();
+    if (!svg) return;
+    downloadText(serializeSvg(svg), this._name('svg'), 'image/svg+xml');
+  }
+
+  exportPng(scale = 2) {
+    const svg = this.getSvg();
+    if (!svg) return Promise.resolve();
+
+    return svgToPngBlob(svg, scale)
+      .then(blob => downloadBlob(blob, this._name('png')))
+      .catch(error => console.error('PNG export failed:', error));
+  }
+
+  exportCsv() {
+    downloadText(rowsToCSV(this.getRows()), this._name('csv'), 'text/csv');
+  }
+
+  exportJson() {
+    downloadText(JSON.stringify(this.getRows(), null, 2), this._name('json'), 'application/json');
+  }
+
+  exportTree() {
+    const tree = this.getTree();
+    if (!tree) return;
+    downloadText(JSON.stringify(tree, null, 2), this._name('tree.json'), 'application/json');
+  }
+
+  _render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    container.innerHTML = '';
+
+    const details = document.createElement('details');
+    details.style.position = 'relative';
+    details.style.fontSize = '0.9rem';
+    details.style.color = 'var(--folio-muted)';
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Export';
+    summary.style.cursor = 'pointer';
+    details.appendChild(summary);
+
+    const menu = document.createElement('div');
+    menu.style.position = 'absolute';
+    menu.style.zIndex = '20';
+    menu.style.right = '0';
+    menu.style.display = 'flex';
+    menu.style.flexDirection = 'column';
+    menu.style.gap = '4px';
+    menu.style.minWidth = '200px';
+    menu.style.padding = '8px';
+    menu.style.background = 'var(--folio-surface)';
+    menu.style.border = '1px solid var(--folio-border)';
+    menu.style.borderRadius = '6px';
+    menu.style.boxShadow = '0 2px 8px var(--folio-shadow)';
+
+    const addButton = (text, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = text;
+      button.style.textAlign = 'left';
+      button.addEventListener('click', () => {
+        onClick();
+        details.open = false;
+      });
+      menu.appendChild(button);
+      return button;
+    };
+
+    addButton('Chart as SVG', () => this.exportSvg());
+
+    const pngRow = document.createElement('div');
+    pngRow.style.display = 'flex';
+    pngRow.style.gap = '4px';
+    const scaleSelect = document.createElement('select');
+    scaleSelect.setAttribute('aria-label', 'PNG resolution');
+    [1, 2, 4].forEach(scale => {
+      const option = document.createElement('option');
+      option.value = scale;
+      option.textContent = `${scale}×`;
+      scaleSelect.appendChild(option);
+    });
+    scaleSelect.value = '2';
+    const pngButton = addButton('Chart as PNG', () => this.exportPng(Number(scaleSelect.value)));
+    pngButton.style.flex = '1';
+    pngRow.appendChild(pngButton);
+    pngRow.appendChild(scaleSelect);
+    menu.appendChild(pngRow);
+
+    addButton('Filtered rows as CSV', () => this.exportCsv());
+    addButton('Filtered rows as JSON', () => this.exportJson());
+    addButton('Hierarchy as JSON', () => this.exportTree());
+
+    details.appendChild(menu);
+    container.appendChild(details);
+  }
+}
@@ -0,0 +1,87 @@
+// Computed style properties copied onto every exported SVG element, so the file
+// renders the same outside the page (image viewers, slides, <img> tags)
+const EXPORTED_STYLE_PROPERTIES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'opacity', 'display',
+  'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'dominant-baseline'
+];
+
+// Standalone SVG markup of the chart as currently displayed (including the zoom level)
+function serializeSvg(svg, background = themeColor('page')) {
+  const clone = svg.cloneNode(true);
+  const sourceElements = [svg, ...svg.querySelectorAll('*')];
+  const cloneElements = [clone, ...clone.querySelectorAll('*')];
+
+  sourceElements.forEach((element, index) => {
+    const computed = window.getComputedStyle(element);
+    const style = EXPORTED_STYLE_PROPERTIES
+      .map(property => [property, computed.getPropertyValue(property)])
+      .filter(([, value]) => value)
+      .map(([property, value]) => `${property}:${value}`)
+      .join(';');
+    cloneElements[index].setAttribute('style', style);
+  });
+
+  // Paint the page background behind the bubbles
+  const [x, y, width, height] = (clone.getAttribute('viewBox') || '').split(/\s+/).map(Number);
+  if (background && !isNaN(width)) {
+    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    rect.setAttribute('x', x);
+    rect.setAttribute('y', y);
+    rect.setAttribute('width', width);
+    rect.setAttribute('height', height);
+    rect.setAttribute('fill', background);
+    clone.insertBefore(rect, clone.firstChild);
+  }
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+}
+
+// Rasterize the chart SVG; scale multiplies its displayed size
+function svgToPngBlob(svg, scale = 2) {
+  const markup = serializeSvg(svg);
+  const width = Number(svg.getAttribute('width')) || svg.getBoundingClientRect().width;
+  const height = Number(svg.getAttribute('height')) || svg.getBoundingClientRect().height;
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to render PNG')), 'image/png');
+    };
+    image.onerror = () => reject(new Error('Failed to load SVG for rasterization'));
+    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(markup);
+  });
+}
+
+// RFC 4180 CSV with a header row built from every key present in the rows.
+// Cells that spreadsheets would run as formulas (=, +, -, @, tab, carriage return) start with ' instead
+function rowsToCSV(rows) {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const escape = value => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(fields => fields.map(escape).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function downloadText(text, filename, type) {
+  downloadBlob(new Blob([text], { type }), filename);
+}
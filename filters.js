@@ -1,16 +1,108 @@
+// Filterable dimensions; `key` is also the URL parameter used by UrlState.
+// `value` may return a list for cells holding several values; the row matches any of them.
+const FILTER_DIMENSIONS = [
+  { key: 'app', label: 'Applications', value: item => getApplications(item) },
+  { key: 'team', label: 'Teams', value: item => getTeams(item) },
+  { key: 'module', label: 'Modules', value: item => item.module },
+  { key: 'type', label: 'Module types', value: item => getModuleType(item.module), format: type => MODULE_TYPE_LABELS[type] || type },
+  { key: 'owner', label: 'Product owners', value: item => item['product owner'] },
+  { key: 'lead', label: 'Dev leads', value: item => item['dev lead/contact'] },
+  { key: 'release', label: 'First releases', value: item => item['first release'], compare: compareReleases }
+];
+
 class Filters {
   constructor(elementId, data, onFilter) {
     this.elementId = elementId;
     this.data = Array.isArray(data) ? data.slice() : [];
     this.onFilter = typeof onFilter === 'function' ? onFilter : () => {};
-  this.selectedModule = '';
-  this.selectedApplication = '';
-  this.selectedFirstRelease = '';
+    this.selected = this._emptySelection();
+    this.openDimensions = new Set();
+    this._render();
+  }
+
+  setData(data) {
+    this.data = Array.isArray(data) ? data.slice() : [];
+
+    // Drop selections that no longer exist in the new data
+    FILTER_DIMENSIONS.forEach(dimension => {
+      const values = new Set(this.data.flatMap(item => this._valuesOf(dimension, item)));
+      this.selected[dimension.key] = this.selected[dimension.key].filter(value => values.has(value));
+    });
+
     this._render();
+    this._onFilterChange();
   }
 
-  _getUniqueValues(key) {
-    return [...new Set(this.data.map(item => item[key]).filter(Boolean))];
+  getSelection() {
+    return Object.fromEntries(FILTER_DIMENSIONS.map(dimension => [dimension.key, this.selected[dimension.key].slice()]));
+  }
+
+  setSelection(selection = {}, { silent = false } = {}) {
+    const next = this._emptySelection();
+    FILTER_DIMENSIONS.forEach(dimension => {
+      const value = selection[dimension.key];
+      next[dimension.key] = (Array.isArray(value) ? value : [value]).filter(Boolean);
+    });
+
+    const changed = FILTER_DIMENSIONS.some(dimension =>
+      next[dimension.key].join('\n') !== this.selected[dimension.key].join('\n'));
+
+    this.selected = next;
+    this._render();
+
+    if (changed && !silent) this._onFilterChange();
+  }
+
+  // Rows passing the selection, optionally ignoring one dimension (e.g. for a control that edits it)
+  getFilteredData(exceptKey = null) {
+    return this.data.filter(item => this._matches(item, exceptKey));
+  }
+
+  // Apply the current selection to other rows, e.g. modules removed since a snapshot
+  filter(rows) {
+    return rows.filter(item => this._matches(item));
+  }
+
+  _emptySelection() {
+    return Object.fromEntries(FILTER_DIMENSIONS.map(dimension => [dimension.key, []]));
+  }
+
+  // Whether the item passes every dimension's selection, optionally ignoring one dimension
+  _matches(item, exceptKey = null) {
+    return FILTER_DIMENSIONS.every(dimension => {
+      const selected = this.selected[dimension.key];
+      if (dimension.key === exceptKey || selected.length === 0) return true;
+      return this._valuesOf(dimension, item).some(value => selected.includes(value));
+    });
+  }
+
+  _valuesOf(dimension, item) {
+    const value = dimension.value(item);
+    return Array.isArray(value) ? value : [value];
+  }
+
+  // Values still available for a dimension given the other selections, with their row counts
+  _getOptions(dimension) {
+    const counts = new Map();
+
+    this.data
+      .filter(item => this._matches(item, dimension.key))
+      .forEach(item => {
+        this._valuesOf(dimension, item).forEach(value => {
+          if (value) counts.set(value, (counts.get(value) || 0) + 1);
+        });
+      });
+
+    // Keep selected values visible so they can be unchecked
+    this.selected[dimension.key].forEach(value => {
+      if (!counts.has(value)) counts.set(value, 0);
+    });
+
+    return [...counts.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => dimension.compare
+        ? dimension.compare(a.value, b.value)
+        : String(a.value).localeCompare(String(b.value)));
   }
 
   _render() {
@@ -22,7 +114,7 @@ class Filters {
     if (!document.getElementById('filter-component-style')) {
       const style = document.createElement('style');
       style.id = 'filter-component-style';
-      style.innerHTML = `
+      style.textContent = `
         .filter-component-wrapper {
           display: flex;
           flex-direction: column;
@@ -30,24 +122,49 @@ class Filters {
           border-radius: 10px;
           padding: 18px 16px;
           max-width: 260px;
-          box-shadow: 0 2px 8px rgba(116,216,202,0.08);
+          box-shadow: 0 2px 8px var(--folio-shadow);
         }
-        .filter-component-wrapper select, .filter-component-wrapper button {
+        .filter-component-wrapper details, .filter-component-wrapper button {
           font-size: 1rem;
-          padding: 7px 10px;
           border-radius: 6px;
-          border: 1px solid #a5a8a9;
-          background: white;
-          color: #222;
+          border: 1px solid var(--folio-border-strong);
+          background: var(--folio-surface);
+          color: var(--folio-text);
           outline: none;
           transition: border 0.2s;
         }
-        .filter-component-wrapper select:focus, .filter-component-wrapper button:focus {
-          border-color: #a5a8a9;
+        .filter-component-wrapper summary {
+          padding: 7px 10px;
+          cursor: pointer;
+        }
+        .filter-component-wrapper details[open] summary {
+          border-bottom: 1px solid var(--folio-divider);
+        }
+        .filter-component-wrapper .filter-options {
+          max-height: 220px;
+          overflow-y: auto;
+          padding: 4px 0;
+        }
+        .filter-component-wrapper label {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          padding: 3px 10px;
+          font-size: 0.9rem;
+          cursor: pointer;
+        }
+        .filter-component-wrapper label .filter-count {
+          margin-left: auto;
+          color: var(--folio-subtle);
+          font-size: 0.8rem;
+        }
+        .filter-component-wrapper label.filter-empty {
+          color: var(--folio-disabled);
         }
         .filter-component-wrapper button {
-          background: #476fa0ff;
-          color: #fff;
+          padding: 7px 10px;
+          background: var(--folio-accent);
+          color: var(--folio-on-accent);
           border: none;
           cursor: pointer;
         }
@@ -57,68 +174,83 @@ class Filters {
 
     const wrapper = document.createElement('div');
     wrapper.className = 'filter-component-wrapper';
+    wrapper.setAttribute('role', 'group');
+    wrapper.setAttribute('aria-label', 'Filters');
 
-    // First Release dropdown
-    const firstReleases = this._getUniqueValues('first release');
-    const firstReleaseSelect = document.createElement('select');
-    firstReleaseSelect.innerHTML = `<option value="">All First Releases</option>` +
-      firstReleases.map(fr => `<option value="${fr}">${fr}</option>`).join('');
-    firstReleaseSelect.value = this.selectedFirstRelease;
-    firstReleaseSelect.addEventListener('change', (e) => {
-      this.selectedFirstRelease = e.target.value;
-      this._onFilterChange();
-    });
+    FILTER_DIMENSIONS.forEach(dimension => {
+      const selected = this.selected[dimension.key];
+      const format = dimension.format || (value => value);
 
-    // Module dropdown
-    const modules = this._getUniqueValues('module');
-    const moduleSelect = document.createElement('select');
-    moduleSelect.innerHTML = `<option value="">All Modules</option>` +
-      modules.map(m => `<option value="${m}">${m}</option>`).join('');
-    moduleSelect.value = this.selectedModule;
-    moduleSelect.addEventListener('change', (e) => {
-      this.selectedModule = e.target.value;
-      this._onFilterChange();
-    });
+      const details = document.createElement('details');
+      details.open = this.openDimensions.has(dimension.key);
+      details.addEventListener('toggle', () => {
+        if (details.open) {
+          this.openDimensions.add(dimension.key);
+        } else {
+          this.openDimensions.delete(dimension.key);
+        }
+      });
 
-    // Application dropdown
-    const applications = this._getUniqueValues('application');
-    const appSelect = document.createElement('select');
-    appSelect.innerHTML = `<option value="">All Applications</option>` +
-      applications.map(a => `<option value="${a}">${a}</option>`).join('');
-    appSelect.value = this.selectedApplication;
-    appSelect.addEventListener('change', (e) => {
-      this.selectedApplication = e.target.value;
-      this._onFilterChange();
+      const summary = document.createElement('summary');
+      summary.textContent = selected.length === 0
+        ? `All ${dimension.label}`
+        : selected.length === 1 ? format(selected[0]) : `${dimension.label}: ${selected.length} selected`;
+      details.appendChild(summary);
+
+      const options = document.createElement('div');
+      options.className = 'filter-options';
+      options.setAttribute('role', 'group');
+      options.setAttribute('aria-label', `Filter by ${dimension.label}`);
+
+      this._getOptions(dimension).forEach(({ value, count }) => {
+        const label = document.createElement('label');
+        if (count === 0) label.className = 'filter-empty';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = value;
+        checkbox.checked = selected.includes(value);
+        checkbox.addEventListener('change', () => {
+          this.selected[dimension.key] = checkbox.checked
+            ? selected.concat(value)
+            : selected.filter(v => v !== value);
+          this._render();
+          this._onFilterChange();
+        });
+
+        const text = document.createElement('span');
+        text.textContent = format(value);
+
+        const countBadge = document.createElement('span');
+        countBadge.className = 'filter-count';
+        countBadge.textContent = count;
+
+        label.appendChild(checkbox);
+        label.appendChild(text);
+        label.appendChild(countBadge);
+        options.appendChild(label);
+      });
+
+      details.appendChild(options);
+      wrapper.appendChild(details);
     });
 
     // Reset button
     const resetBtn = document.createElement('button');
     resetBtn.textContent = 'Reset';
     resetBtn.type = 'button';
+    resetBtn.setAttribute('aria-label', 'Reset all filters');
     resetBtn.addEventListener('click', () => {
-      this.selectedModule = '';
-      this.selectedApplication = '';
-      this.selectedFirstRelease = '';
-      moduleSelect.value = '';
-      appSelect.value = '';
-      firstReleaseSelect.value = '';
+      this.selected = this._emptySelection();
+      this._render();
       this._onFilterChange();
     });
 
-    wrapper.appendChild(appSelect);
-    wrapper.appendChild(moduleSelect);
-    wrapper.appendChild(firstReleaseSelect);
     wrapper.appendChild(resetBtn);
     container.appendChild(wrapper);
   }
 
   _onFilterChange() {
-    let filtered = this.data.filter(item => {
-      const moduleMatch = this.selectedModule ? item.module === this.selectedModule : true;
-      const appMatch = this.selectedApplication ? item.application === this.selectedApplication : true;
-      const firstReleaseMatch = this.selectedFirstRelease ? item['first release'] === this.selectedFirstRelease : true;
-      return moduleMatch && appMatch && firstReleaseMatch;
-    });
-    this.onFilter(filtered);
+    this.onFilter(this.getFilteredData());
   }
 }
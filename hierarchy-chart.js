@@ -0,0 +1,627 @@
+// Parse a numeric cell such as "12,000" or "3.5"; null when the cell is empty or not a number
+function parseNumber(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).replace(/[,\s]/g, '');
+  if (text === '') return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Columns whose non-empty cells are all numeric (and that have at least one value)
+function detectNumericColumns(data) {
+  const columns = new Set(data.flatMap(item => Object.keys(item)));
+
+  return [...columns].filter(column => {
+    const values = data.map(item => item[column]).filter(value => value !== undefined && String(value).trim() !== '');
+    return values.length > 0 && values.every(value => parseNumber(value) !== null);
+  });
+}
+
+// Levels the hierarchy can group modules by; `value` lists the groups a row belongs to.
+// Any other column name works as a level too (see getHierarchyLevel).
+const HIERARCHY_LEVELS = [
+  { key: 'department', label: 'Department', column: 'department', value: row => splitMembership(row.department) },
+  { key: 'team', label: 'Team', column: 'team', value: row => getTeams(row) },
+  { key: 'application', label: 'Application', column: 'application', value: row => getApplications(row) },
+  { key: 'owner', label: 'Product owner', column: 'product owner', value: row => splitMembership(row['product owner']) },
+  { key: 'release', label: 'First release', column: 'first release', value: row => splitMembership(row['first release']) },
+  { key: 'type', label: 'Module type', column: 'module', value: row => [MODULE_TYPE_LABELS[getModuleType(row.module)] || getModuleType(row.module)] }
+];
+
+// Common groupings offered in the chart controls
+const HIERARCHY_PRESETS = [
+  { label: 'Team → Application', levels: ['team', 'application'] },
+  { label: 'Application → Team', levels: ['application', 'team'] },
+  { label: 'Department → Team → Application', levels: ['department', 'team', 'application'] },
+  { label: 'Release → Team', levels: ['release', 'team'] },
+  { label: 'Module type → Team', levels: ['type', 'team'] }
+];
+
+const DEFAULT_HIERARCHY_LEVELS = HIERARCHY_PRESETS[0].levels;
+
+function getHierarchyLevel(key) {
+  const column = String(key).trim().toLowerCase();
+  return HIERARCHY_LEVELS.find(level => level.key === column) ||
+    { key: column, label: column, column, value: row => splitMembership(row[column]) };
+}
+
+// Parse levels written as comma separated level keys or column names, e.g. "department,team,application"
+function parseHierarchyLevels(text) {
+  return String(text || '')
+    .split(',')
+    .map(level => level.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Transform the flat array of rows into a hierarchy grouped by the given levels, with modules as leaves.
+// Rows without a value for a level skip it; rows with several values (shared modules) appear under each.
+function buildHierarchy(data, { levels = DEFAULT_HIERARCHY_LEVELS, sizeOf = () => 1, rootName = 'FOLIO' } = {}) {
+  const resolved = levels.map(getHierarchyLevel);
+  const createGroup = name => ({ name, groups: new Map(), modules: [] });
+  const top = createGroup(rootName);
+
+  data.forEach(item => {
+    const shared = isSharedModule(item);
+
+    const createLeaf = () => {
+      const leaf = { name: item.module, value: sizeOf(item), row: item };
+      if (shared) leaf.shared = true;
+      return leaf;
+    };
+
+    const place = (group, depth) => {
+      if (depth === resolved.length) {
+        group.modules.push(createLeaf());
+        return;
+      }
+
+      const values = resolved[depth].value(item);
+      if (values.length === 0) {
+        place(group, depth + 1);
+        return;
+      }
+
+      values.forEach(value => {
+        if (!group.groups.has(value)) group.groups.set(value, createGroup(value));
+        place(group.groups.get(value), depth + 1);
+      });
+    };
+
+    place(top, 0);
+  });
+
+  // Groups first, then the modules placed directly in the group
+  const toNode = group => ({
+    name: group.name,
+    children: [...Array.from(group.groups.values(), toNode), ...group.modules]
+  });
+
+  let root = toNode(top);
+
+  // A single group (e.g. after filtering to one team) becomes the root with its whole subtree;
+  // further single groups below it are joined into the name, e.g. "Team - Application"
+  let collapsed = false;
+  while (root.children.length === 1 && root.children[0].children) {
+    const [group] = root.children;
+    root = { name: collapsed ? `${root.name} - ${group.name}` : group.name, children: group.children };
+    collapsed = true;
+  }
+
+  return root;
+}
+
+// Shared state and behaviour of the module hierarchy charts;
+// subclasses implement render(), _zoom(node, duration) and _highlight(leaf),
+// and call _enableKeyboard(svg) once their nodes are drawn
+class HierarchyChart {
+  constructor(container, width, height, onFocus, options = {}) {
+    this.container = container;
+    this.width = width;
+    this.height = height;
+    this.onFocus = onFocus;
+    this.onZoom = typeof options.onZoom === 'function' ? options.onZoom : () => {};
+    this.onModuleClick = typeof options.onModuleClick === 'function' ? options.onModuleClick : () => {};
+    this.tooltip = Tooltip.shared();
+    this.root = null;
+    this.focusNode = null;
+    this._nodes = null;
+    this._activeNode = null;
+    this.sizeBy = null;
+    this.colorBy = 'type';
+    this.colorEncoding = null;
+    this.hiddenCategories = new Set();
+    this.levels = DEFAULT_HIERARCHY_LEVELS;
+    this.changes = null;
+    this._changesByModule = new Map();
+  }
+
+  // Color leaves by one of COLOR_DIMENSIONS; hidden categories are reset
+  setColorBy(key) {
+    this.colorBy = key;
+    this.hiddenCategories.clear();
+
+    return this;
+  }
+
+  getColorCategories() {
+    return this.colorEncoding ? this.colorEncoding.categories : [];
+  }
+
+  // Show or fade out the modules of a color category
+  toggleCategory(value) {
+    if (this.hiddenCategories.has(value)) {
+      this.hiddenCategories.delete(value);
+    } else {
+      this.hiddenCategories.add(value);
+    }
+
+    this._applyHidden();
+
+    return this;
+  }
+
+  // Fade out modules of hidden categories
+  _applyHidden() {
+    if (this._nodes) this._nodes.attr("fill-opacity", d => this._fillOpacity(d));
+  }
+
+  // Hidden modules are almost transparent, removed ones (in compare mode) half so
+  _fillOpacity(d) {
+    if (this._isHidden(d)) return 0.1;
+    const change = this._changeOf(d);
+    return change && change.type === 'removed' ? 0.4 : null;
+  }
+
+  // Compare mode: changes from diffSnapshots(), or null to turn it off
+  setChanges(changes) {
+    this.changes = changes || null;
+    this._changesByModule = new Map((changes || []).map(change => [change.module, change]));
+
+    return this;
+  }
+
+  _changeOf(d) {
+    return d.children ? null : this._changesByModule.get(d.data.name) || null;
+  }
+
+  _changeStroke(d) {
+    const change = this._changeOf(d);
+    return change ? getChangeType(change.type).color : null;
+  }
+
+  // Outline added, removed and reassigned modules
+  _applyChanges() {
+    if (!this._nodes) return;
+
+    this._nodes
+      .attr("stroke", d => this._changeStroke(d))
+      .attr("stroke-width", d => this._changeOf(d) ? 3 : null)
+      .attr("stroke-dasharray", d => {
+        const change = this._changeOf(d);
+        return change && change.type === 'removed' ? '4 3' : null;
+      });
+  }
+
+  // Title and [label, value] rows describing a node
+  _describe(d) {
+    if (!d.children) {
+      const row = d.data.row || {};
+      const type = getModuleType(d.data.name);
+      const rows = [
+        ['Type', MODULE_TYPE_LABELS[type] || type],
+        [getTeams(row).length > 1 ? 'Teams' : 'Team', getTeams(row).join(', ')],
+        [getApplications(row).length > 1 ? 'Applications' : 'Application', getApplications(row).join(', ')],
+        ['Product owner', row['product owner']],
+        ['Lead', row['dev lead/contact']],
+        ['First release', row['first release']]
+      ];
+      if (this.sizeBy) rows.push([this.sizeBy, row[this.sizeBy]]);
+
+      const change = this._changeOf(d);
+      if (change) rows.push(['Change', this._describeChange(change)]);
+
+      return { title: d.data.name, rows };
+    }
+
+    const modules = d.leaves().filter(leaf => leaf.data.row);
+    const byType = d3.rollup(modules, group => group.length, leaf => getModuleType(leaf.data.name));
+
+    return {
+      title: d.data.name,
+      rows: [['Modules', modules.length]].concat(
+        Array.from(byType, ([type, count]) => [MODULE_TYPE_LABELS[type] || type, count])
+      )
+    };
+  }
+
+  _describeChange(change) {
+    const label = getChangeType(change.type).label;
+    if (change.type !== 'reassigned') return label;
+
+    return `${label} from ${change.fields.map(field => change.before[field] || '-').join(' / ')}`;
+  }
+
+  // Module name with a marker for modules shared by several teams or applications
+  _nodeLabel(d) {
+    return d.data.shared ? `${d.data.name} ${HierarchyChart.SHARED_MARKER}` : d.data.name;
+  }
+
+  _isHidden(d) {
+    return !d.children && d.data.row && this.colorEncoding &&
+      this.hiddenCategories.has(this.colorEncoding.value(d.data.row));
+  }
+
+  // Size leaves by a numeric column, or by count when the column is null
+  setSizeBy(column) {
+    this.sizeBy = column || null;
+
+    return this;
+  }
+
+  // Group modules by the given levels, e.g. ['department', 'team', 'application']
+  setLevels(levels) {
+    this.levels = levels && levels.length > 0 ? levels.slice() : DEFAULT_HIERARCHY_LEVELS;
+
+    return this;
+  }
+
+  setData(data) {
+    this.data = buildHierarchy(data, { levels: this.levels, sizeOf: this._sizeAccessor(data) });
+
+    this.onFocus(this.data);
+
+    return this;
+  }
+
+  // Modules without a value in the size column get the smallest value seen, so they stay visible
+  _sizeAccessor(data) {
+    if (!this.sizeBy) return () => 1;
+
+    const values = data.map(item => parseNumber(item[this.sizeBy])).filter(value => value > 0);
+    const fallback = values.length > 0 ? Math.min(...values) : 1;
+
+    return item => {
+      const value = parseNumber(item[this.sizeBy]);
+      return value > 0 ? value : fallback;
+    };
+  }
+
+  // Show new data, keeping the zoom when the focused group is still there.
+  // Layouts redraw from scratch unless they override this with an animated update.
+  update(data) {
+    const path = this.getFocusPath();
+    this.reset().setData(data).render();
+    this.focusPath(path, { animate: false });
+
+    return this;
+  }
+
+  // Lay the chart out again at a new size, keeping the zoom
+  resize(width, height) {
+    if (width === this.width && height === this.height) return this;
+
+    this.width = width;
+    this.height = height;
+
+    return this.redraw();
+  }
+
+  // Draw the chart again in place, e.g. in the colors of a new theme, keeping the zoom
+  redraw() {
+    if (!this.root) return this;
+
+    const path = this.getFocusPath();
+    this.tooltip.hide();
+    document.getElementById(this.container).innerHTML = '';
+    this.render();
+    this.focusPath(path, { animate: false });
+
+    return this;
+  }
+
+  // Names of the top-level groups, e.g. the teams
+  getGroups() {
+    if (!this.root) return [];
+    return (this.root.children || []).filter(d => d.children).map(d => d.data.name);
+  }
+
+  reset() {
+    this.tooltip.hide();
+    this.data = null;
+    this.root = null;
+    this.focusNode = null;
+    document.getElementById(this.container).innerHTML = '';
+
+    return this;
+  }
+
+  // Names of the nodes from the root down to the focused node (root excluded)
+  getFocusPath() {
+    if (!this.focusNode) return [];
+    return this.focusNode.ancestors().reverse().slice(1).map(d => d.data.name);
+  }
+
+  // Zoom to the node at the given path; stops at the deepest node that still exists
+  focusPath(path = [], { animate = true } = {}) {
+    if (!this.root) return this;
+
+    const node = this._nodeAtPath(path);
+    if (node !== this.focusNode) this._zoom(node, animate ? 750 : 0);
+
+    return this;
+  }
+
+  // Group at the path of names below the root, or the deepest one of them that exists
+  _nodeAtPath(path) {
+    let node = this.root;
+    for (const name of path) {
+      const child = (node.children || []).find(c => c.data.name === name && c.children);
+      if (!child) break;
+      node = child;
+    }
+
+    return node;
+  }
+
+  // Zoom to the group containing the module and highlight it; false if it is not in the chart
+  focusModule(name) {
+    if (!this.root) return false;
+
+    const leaf = this.root.leaves().find(d => d.data.name === name);
+    if (!leaf) return false;
+
+    const parent = leaf.parent || this.root;
+    if (parent !== this.focusNode) this._zoom(parent, 750);
+
+    this._highlight(leaf);
+
+    return true;
+  }
+
+  // d3 hierarchy of the current data with leaf values summed up the groups
+  _hierarchy() {
+    return d3.hierarchy(this.data)
+      .sum(d => d.children ? 0 : d.value || 1)
+      .sort((a, b) => b.value - a.value);
+  }
+
+  // Fill for group nodes, darkening with depth in the colors of the theme
+  _groupColor(depth) {
+    return d3.scaleLinear()
+      .domain([0, 5])
+      .range([themeColor("group-from"), themeColor("group-to")])
+      .interpolate(d3.interpolateHcl)(depth);
+  }
+
+  _leafColor(d) {
+    return d.data.row ? this.colorEncoding.color(d.data.row) : getModuleColor(d.data.name);
+  }
+
+  // Record a new focus node and notify listeners
+  _setFocus(node) {
+    this.focusNode = node;
+    this.onFocus(node.data);
+    this.onZoom(this.getFocusPath());
+    this._applyAccessibility();
+    this._announceFocus(node);
+  }
+
+  // Show the shared tooltip for a node
+  _showTooltip(event, d) {
+    const { title, rows } = this._describe(d);
+    this.tooltip.show(event, title, rows);
+  }
+
+  // Keyboard navigation: the chart is exposed as an ARIA tree with one tab stop that moves with the arrow keys.
+  _enableKeyboard(svg) {
+    HierarchyChart.injectAccessibilityStyle();
+
+    const helpId = `${this.container}-keyboard-help`;
+    svg
+      .attr("role", "tree")
+      .attr("aria-label", `${this.root.data.name} modules`)
+      .attr("aria-describedby", helpId)
+      .on("keydown", (event) => this._onKeydown(event));
+
+    svg.append("desc")
+      .attr("id", helpId)
+      .text("Use the arrow keys to move between groups and modules, Enter to zoom in or open a module, and Escape to zoom out.");
+
+    this._activeNode = null;
+    this._applyAccessibility();
+  }
+
+  // Elements that can take keyboard focus, bound to their hierarchy nodes
+  _keyboardTargets() {
+    return this._nodes;
+  }
+
+  _keyboardParent(d) {
+    return d.parent;
+  }
+
+  _isExpanded(d) {
+    return Boolean(this.focusNode) && this.focusNode.ancestors().includes(d);
+  }
+
+  // Whether the node can be seen without zooming
+  _isVisible(d) {
+    const focus = this.focusNode || this.root;
+    return d !== focus && d.ancestors().includes(focus);
+  }
+
+  // Collapsing a group zooms out of it
+  _collapse(d) {
+    this._zoom(this._keyboardParent(d) || this.root, 750);
+  }
+
+  // Enter zooms into groups and opens modules
+  _activate(d) {
+    if (d.children) {
+      this._zoom(d, 750);
+      const child = this._keyboardChildren(d)[0];
+      if (child) this._moveTo(child);
+    } else if (d.data.row) {
+      this.onModuleClick(d.data.row);
+    }
+  }
+
+  _keyboardChildren(d) {
+    const targets = this._keyboardTargets();
+    return targets ? targets.data().filter(n => this._keyboardParent(n) === d) : [];
+  }
+
+  _keyboardLevel(d) {
+    let level = 0;
+    for (let node = d; node && node !== this.root; node = this._keyboardParent(node)) level++;
+    return level;
+  }
+
+  // ARIA attributes and the roving tab stop; called again whenever nodes are redrawn or the focus changes
+  _applyAccessibility() {
+    const targets = this._keyboardTargets();
+    if (!targets || !this.root) return;
+
+    const nodes = targets.data();
+    if (!nodes.includes(this._activeNode)) {
+      this._activeNode = nodes.find(d => this._keyboardParent(d) === this.focusNode) || nodes[0] || null;
+    }
+
+    const siblings = d => nodes.filter(n => this._keyboardParent(n) === this._keyboardParent(d));
+
+    targets
+      .attr("role", "treeitem")
+      .attr("tabindex", d => d === this._activeNode ? 0 : -1)
+      .attr("aria-level", d => this._keyboardLevel(d))
+      .attr("aria-setsize", d => siblings(d).length)
+      .attr("aria-posinset", d => siblings(d).indexOf(d) + 1)
+      .attr("aria-expanded", d => d.children ? String(this._isExpanded(d)) : null)
+      .attr("aria-label", d => this._accessibleLabel(d))
+      .on("focus.keyboard", (event, d) => {
+        this._activeNode = d;
+        targets.attr("tabindex", n => n === d ? 0 : -1);
+      });
+  }
+
+  // The tooltip contents as one sentence for screen readers
+  _accessibleLabel(d) {
+    const { title, rows } = this._describe(d);
+    const details = rows
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([label, value]) => `${label}: ${value}`);
+
+    return [title].concat(details).join(', ');
+  }
+
+  _onKeydown(event) {
+    const d = this._activeNode;
+    if (!d) return;
+
+    const parent = this._keyboardParent(d);
+    const siblings = this._keyboardTargets().data().filter(n => this._keyboardParent(n) === parent);
+    const index = siblings.indexOf(d);
+
+    switch (event.key) {
+      case "ArrowDown":
+        this._moveTo(siblings[index + 1]);
+        break;
+      case "ArrowUp":
+        this._moveTo(siblings[index - 1]);
+        break;
+      case "Home":
+        this._moveTo(siblings[0]);
+        break;
+      case "End":
+        this._moveTo(siblings[siblings.length - 1]);
+        break;
+      case "ArrowRight":
+        // Expand a collapsed group, then step into it
+        if (d.children && !this._isExpanded(d)) this._zoom(d, 750);
+        this._moveTo(this._keyboardChildren(d)[0]);
+        break;
+      case "ArrowLeft":
+        if (d.children && this._isExpanded(d)) {
+          this._collapse(d);
+          this._moveTo(d);
+        } else if (parent && parent !== this.root) {
+          this._moveTo(parent);
+        }
+        break;
+      case "Enter":
+      case " ":
+        this._activate(d);
+        break;
+      case "Escape": {
+        const focus = this.focusNode;
+        if (focus && focus !== this.root) {
+          this._zoom(this._keyboardParent(focus) || this.root, 750);
+          this._moveTo(focus);
+        }
+        break;
+      }
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  }
+
+  // Give keyboard focus to a node, zooming out to its parent first when it is out of view
+  _moveTo(d) {
+    if (!d) return;
+
+    if (!this._isVisible(d)) this._zoom(this._keyboardParent(d) || this.root, 750);
+
+    this._activeNode = d;
+    this._applyAccessibility();
+
+    const element = this._keyboardTargets().filter(n => n === d).node();
+    if (element) element.focus();
+  }
+
+  // Tell screen reader users what the chart now shows
+  _announceFocus(node) {
+    const modules = node.leaves().filter(leaf => leaf.data.row).length;
+    HierarchyChart.announce(`${node.data.name}: ${modules} ${modules === 1 ? 'module' : 'modules'}`);
+  }
+
+  // Polite live region shared by all charts
+  static announce(message) {
+    let region = document.getElementById('chart-announcer');
+    if (!region) {
+      region = document.createElement('div');
+      region.id = 'chart-announcer';
+      region.setAttribute('role', 'status');
+      region.setAttribute('aria-live', 'polite');
+      Object.assign(region.style, {
+        position: 'absolute',
+        width: '1px',
+        height: '1px',
+        overflow: 'hidden',
+        clip: 'rect(0 0 0 0)',
+        whiteSpace: 'nowrap'
+      });
+      document.body.appendChild(region);
+    }
+
+    region.textContent = message;
+  }
+
+  // Focus rings for chart nodes; a stylesheet rule wins over the stroke attributes set by hover and compare mode
+  static injectAccessibilityStyle() {
+    if (document.getElementById('chart-accessibility-style')) return;
+
+    const style = document.createElement('style');
+    style.id = 'chart-accessibility-style';
+    style.textContent = `
+      [role="treeitem"]:focus { outline: none; }
+      circle[role="treeitem"]:focus-visible,
+      rect[role="treeitem"]:focus-visible,
+      path[role="treeitem"]:focus-visible { stroke: var(--folio-focus); stroke-width: 3px; stroke-opacity: 1; }
+      g[role="treeitem"]:focus-visible > rect { fill: var(--folio-focus-bg); stroke: var(--folio-focus); stroke-width: 2px; }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+HierarchyChart.SHARED_MARKER = '⇄';
@@ -0,0 +1,94 @@
+// Full-screen display for team rooms: hides everything but the chart and
+// zooms to each top-level group (e.g. each team) in turn, starting with the overview
+class KioskMode {
+  constructor(containerId, { getGroups, onShow, interval = 30000 } = {}) {
+    this.containerId = containerId;
+    this.getGroups = typeof getGroups === 'function' ? getGroups : () => [];
+    this.onShow = typeof onShow === 'function' ? onShow : () => {};
+    this.interval = interval;
+    this.timer = null;
+    this.index = -1;
+    this.caption = null;
+
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && this.isActive()) this.stop();
+    });
+
+    // Leaving full screen with the browser's own controls ends kiosk mode too
+    document.addEventListener('fullscreenchange', () => {
+      if (!document.fullscreenElement && this.isActive()) this.stop();
+    });
+
+    this._render();
+  }
+
+  isActive() {
+    return this.timer !== null;
+  }
+
+  // Browsers only allow full screen after a click, so kiosk mode opened from the URL fills the window instead
+  start() {
+    if (this.isActive()) return;
+
+    document.body.classList.add('kiosk');
+    if (document.documentElement.requestFullscreen && !document.fullscreenElement) {
+      document.documentElement.requestFullscreen().catch(() => {});
+    }
+
+    this.caption = document.createElement('div');
+    this.caption.setAttribute('aria-live', 'polite');
+    this.caption.style.position = 'fixed';
+    this.caption.style.top = '12px';
+    this.caption.style.left = '16px';
+    this.caption.style.zIndex = '30';
+    this.caption.style.padding = '6px 12px';
+    this.caption.style.background = 'var(--folio-surface)';
+    this.caption.style.borderRadius = '6px';
+    this.caption.style.color = 'var(--folio-heading)';
+    this.caption.style.font = "bold 1.4rem 'Segoe UI', 'Roboto', 'Arial', sans-serif";
+    document.body.appendChild(this.caption);
+
+    this.index = -1;
+    this.timer = setInterval(() => this._next(), this.interval);
+    this._next();
+  }
+
+  stop() {
+    if (!this.isActive()) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    document.body.classList.remove('kiosk');
+    if (this.caption) this.caption.remove();
+    this.caption = null;
+
+    if (document.fullscreenElement && document.exitFullscreen) {
+      document.exitFullscreen().catch(() => {});
+    }
+  }
+
+  // The overview, then each group; groups are read again every time, so refreshed data is picked up
+  _next() {
+    const steps = [[]].concat(this.getGroups().map(group => [group]));
+    this.index = (this.index + 1) % steps.length;
+
+    const path = steps[this.index];
+    this.caption.textContent = path.length > 0 ? path[0] : 'Overview';
+    this.onShow(path);
+  }
+
+  _render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    container.innerHTML = '';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'Full screen';
+    button.title = 'Show the chart full screen and cycle through the teams (Esc to exit)';
+    button.style.fontSize = '0.9rem';
+    button.addEventListener('click', () => this.start());
+
+    container.appendChild(button);
+  }
+}
@@ -0,0 +1,38 @@
+// Columns that may list several values in one cell, e.g. "Team A; Team B"
+const MEMBERSHIP_COLUMNS = ['team', 'application'];
+const MEMBERSHIP_SEPARATOR = ';';
+
+// Split a cell into its distinct, trimmed values
+function splitMembership(value) {
+  const members = String(value === undefined || value === null ? '' : value)
+    .split(MEMBERSHIP_SEPARATOR)
+    .map(member => member.trim())
+    .filter(Boolean);
+
+  return [...new Set(members)];
+}
+
+function getTeams(row) {
+  return splitMembership(row.team);
+}
+
+function getApplications(row) {
+  return splitMembership(row.application);
+}
+
+// Whether a module is co-owned by several teams or shipped in several applications
+function isSharedModule(row) {
+  return getTeams(row).length > 1 || getApplications(row).length > 1;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MEMBERSHIP_COLUMNS,
+    MEMBERSHIP_SEPARATOR,
+    splitMembership,
+    getTeams,
+    getApplications,
+    isSharedModule
+  };
+}
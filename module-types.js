@@ -0,0 +1,77 @@
+// Color palette for module types
+const MODULE_COLORS = {
+  backend: '#4285F4',      // modern blue
+  frontend: '#FF7043',     // modern orange-red
+  frontendUtil: '#66BB6A', // modern green
+  backendUtil: '#AB47BC',  // modern purple
+  other: '#FFCA28'         // modern amber
+};
+
+// Human readable module type names
+const MODULE_TYPE_LABELS = {
+  backend: 'Backend',
+  frontend: 'Frontend',
+  frontendUtil: 'Frontend utility',
+  backendUtil: 'Backend utility',
+  other: 'Other'
+};
+
+// Name prefix to module type rules, checked in order
+const MODULE_TYPE_RULES = [
+  { prefix: 'mod', type: 'backend' },
+  { prefix: 'edge', type: 'backend' },
+  { prefix: 'ui', type: 'frontend' },
+  { prefix: 'stripes', type: 'frontendUtil' },
+  { prefix: 'folio', type: 'backendUtil' }
+];
+
+// Function to determine module type by name
+function getModuleType(name) {
+  if (!name) return 'other';
+  const lower = name.toLowerCase();
+  const rule = MODULE_TYPE_RULES.find(rule => lower.startsWith(rule.prefix));
+  return rule ? rule.type : 'other';
+}
+
+// Function to determine module type color by name
+function getModuleColor(name) {
+  return MODULE_COLORS[getModuleType(name)] || MODULE_COLORS.other;
+}
+
+// Colors handed out to custom module types that do not bring their own
+const CUSTOM_TYPE_COLORS = ['#26A69A', '#EC407A', '#8D6E63', '#78909C', '#D4E157', '#5C6BC0'];
+let customTypeCount = 0;
+
+// Add prefix rules for other naming schemes; they take precedence over the built-in ones
+function addModuleTypeRules(rules) {
+  MODULE_TYPE_RULES.unshift(...rules.map(({ prefix, type }) => ({ prefix: prefix.toLowerCase(), type })));
+
+  rules.forEach(({ type, label, color }) => {
+    if (!MODULE_COLORS[type]) {
+      MODULE_COLORS[type] = color || CUSTOM_TYPE_COLORS[customTypeCount++ % CUSTOM_TYPE_COLORS.length];
+    }
+    if (!MODULE_TYPE_LABELS[type]) MODULE_TYPE_LABELS[type] = label || type;
+  });
+}
+
+// Parse rules written as comma separated "prefix:type" pairs, e.g. "lib-:library,svc-:backend"
+function parseModuleTypeRules(text) {
+  return String(text || '')
+    .split(',')
+    .map(pair => pair.split(':').map(part => part.trim()))
+    .filter(([prefix, type]) => prefix && type)
+    .map(([prefix, type]) => ({ prefix, type }));
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MODULE_COLORS,
+    MODULE_TYPE_LABELS,
+    MODULE_TYPE_RULES,
+    getModuleType,
+    getModuleColor,
+    addModuleTypeRules,
+    parseModuleTypeRules
+  };
+}
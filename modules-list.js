@@ -1,90 +1,109 @@
 
 class ModulesList {
-  constructor(containerId) {
+  constructor(containerId, onDetails, { repositoryUrl = DEFAULT_REPOSITORY_URL } = {}) {
     this.dataSource = {};
     this.modules = [];
     this.containerId = containerId;
+    this.onDetails = typeof onDetails === 'function' ? onDetails : null;
+    this.repositoryUrl = repositoryUrl;
   }
 
+  // Rows by module name; a module listed on several rows keeps all of them
   setDataSource(modules) {
     this.dataSource = modules.reduce((acc, module) => {
-      acc[module.module] = module;
+      (acc[module.module] = acc[module.module] || []).push(module);
 
       return acc;
     }, {});
   }
 
+  // Distinct values of a column over the module's rows, splitting cells that list several teams or applications
+  _collect(rows, column) {
+    const values = rows.flatMap(row => MEMBERSHIP_COLUMNS.includes(column)
+      ? splitMembership(row[column])
+      : [row[column]]);
+
+    return [...new Set(values.filter(Boolean))];
+  }
+
   _render() {
     const container = document.getElementById(this.containerId);
     container.innerHTML = '';
+    ModulesList.injectStyle();
 
     const ul = document.createElement('ul');
-    ul.style.listStyle = 'none';
-    ul.style.padding = '8px 16px';
-    ul.style.margin = '0';
-    ul.style.overflowY = 'auto';
-    ul.style.maxHeight = '541.5px';
+    ul.className = 'modules-list';
 
     this.modules.forEach(module => {
-      const moduleInfo = this.dataSource[module];
+      const rows = this.dataSource[module] || [];
+      const moduleInfo = rows[0];
+      const teams = this._collect(rows, 'team');
+      const shared = teams.length > 1 || this._collect(rows, 'application').length > 1;
       const li = document.createElement('li');
-      li.style.marginBottom = '5px';
-      li.style.maxWidth = '260px';
+      li.dataset.module = module;
 
       // Section container
       const section = document.createElement('div');
-      section.style.marginBottom = '3px';
-      section.style.background = '#fff';
-      section.style.borderRadius = '6px';
-      section.style.border = '1px solid #c5c9cbff';
-      section.style.padding = '8px';
+      section.className = 'modules-list-card';
 
-      // Title (module link)
+      // Title (module link); names come from the sheet, so they are encoded into the URL
       const link = document.createElement('a');
-      link.href = `https://github.com/folio-org/${module}`;
+      link.className = 'modules-list-title';
+      link.href = repositoryUrl(module, this.repositoryUrl);
       link.textContent = module;
       link.target = '_blank';
-      link.style.fontSize = '1.3rem';
-      link.style.fontWeight = 'bold';
-      link.style.color = '#476fa0ff';
-      link.style.marginBottom = '0.5rem';
-      link.style.textDecoration = 'none';
-      link.style.display = 'inline-block';
+      link.rel = 'noopener';
       section.appendChild(link);
 
+      // Co-owned or shipped in several applications
+      if (shared) {
+        const badge = document.createElement('span');
+        badge.className = 'modules-list-badge';
+        badge.textContent = 'Shared';
+        badge.title = 'Shared by several teams or applications';
+        section.appendChild(badge);
+      }
+
       // Meta info
       const meta = document.createElement('div');
-      meta.style.marginLeft = '1.5rem';
-      meta.style.color = '#4a5a6a';
-      meta.style.fontSize = '1rem';
-
-      // Team
-      const teamLabel = document.createElement('span');
-      teamLabel.textContent = 'Team:';
-      teamLabel.style.fontWeight = '500';
-      teamLabel.style.color = '#6c7a89';
-      meta.appendChild(teamLabel);
-      meta.appendChild(document.createTextNode(' ' + (moduleInfo['team'] || '-') ));
-      meta.appendChild(document.createElement('br'));
-
-      // Product owner
-      const poLabel = document.createElement('span');
-      poLabel.textContent = 'Product owner:';
-      poLabel.style.fontWeight = '500';
-      poLabel.style.color = '#6c7a89';
-      meta.appendChild(poLabel);
-      meta.appendChild(document.createTextNode(' ' + (moduleInfo['product owner'] || '-') ));
-      meta.appendChild(document.createElement('br'));
-
-      // Lead
-      const leadLabel = document.createElement('span');
-      leadLabel.textContent = 'Lead:';
-      leadLabel.style.fontWeight = '500';
-      leadLabel.style.color = '#6c7a89';
-      meta.appendChild(leadLabel);
-      meta.appendChild(document.createTextNode(' ' + (moduleInfo['dev lead/contact'] || '-') ));
+      meta.className = 'modules-list-meta';
+
+      [
+        [teams.length > 1 ? 'Teams:' : 'Team:', teams],
+        ['Product owner:', this._collect(rows, 'product owner')],
+        ['Lead:', this._collect(rows, 'dev lead/contact')]
+      ].forEach(([text, values], index) => {
+        if (index > 0) meta.appendChild(document.createElement('br'));
+
+        const label = document.createElement('span');
+        label.className = 'modules-list-label';
+        label.textContent = text;
+        meta.appendChild(label);
+        meta.appendChild(document.createTextNode(' ' + (values.join(', ') || '-')));
+      });
 
       section.appendChild(meta);
+
+      // Repository metadata, once loaded (see repository-metadata.js)
+      const repository = moduleInfo ? describeRepositoryMetadata(moduleInfo) : [];
+      if (repository.length > 0) {
+        const line = document.createElement('div');
+        line.className = 'modules-list-repository';
+        line.textContent = repository.join(' · ');
+        if (moduleInfo['ci status'] === 'failure') line.classList.add('modules-list-ci-failure');
+        section.appendChild(line);
+      }
+
+      // Details button
+      if (this.onDetails && moduleInfo) {
+        const detailsBtn = document.createElement('button');
+        detailsBtn.type = 'button';
+        detailsBtn.className = 'modules-list-details';
+        detailsBtn.textContent = 'Details';
+        detailsBtn.addEventListener('click', () => this.onDetails(moduleInfo));
+        section.appendChild(detailsBtn);
+      }
+
       li.appendChild(section);
       ul.appendChild(li);
     });
@@ -92,6 +111,20 @@ class ModulesList {
     container.appendChild(ul);
   }
 
+  scrollToModule(name) {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+
+    const li = Array.from(container.querySelectorAll('li')).find(item => item.dataset.module === name);
+    if (!li) return;
+
+    li.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+
+    const section = li.firstChild;
+    section.classList.add('modules-list-highlight');
+    setTimeout(() => section.classList.remove('modules-list-highlight'), 1500);
+  }
+
   render(tree) {
     const names = [];
 
@@ -109,8 +142,85 @@ class ModulesList {
 
     traverse(tree);
 
-    this.modules = names;
+    // Shared modules appear once per team or application
+    this.modules = [...new Set(names)];
 
     this._render();
   }
+
+  // Card styles, colored by the theme (see theme.js)
+  static injectStyle() {
+    if (document.getElementById('modules-list-style')) return;
+
+    const style = document.createElement('style');
+    style.id = 'modules-list-style';
+    style.textContent = `
+      .modules-list {
+        list-style: none;
+        padding: 8px 16px;
+        margin: 0;
+      }
+      .modules-list > li {
+        margin-bottom: 5px;
+        max-width: 260px;
+      }
+      .modules-list-card {
+        margin-bottom: 3px;
+        background: var(--folio-surface);
+        border-radius: 6px;
+        border: 1px solid var(--folio-border);
+        padding: 8px;
+        transition: box-shadow 0.3s;
+      }
+      .modules-list-card.modules-list-highlight {
+        box-shadow: 0 0 0 3px var(--folio-accent);
+      }
+      .modules-list-title {
+        font-size: 1.3rem;
+        font-weight: bold;
+        color: var(--folio-accent);
+        margin-bottom: 0.5rem;
+        text-decoration: none;
+        display: inline-block;
+      }
+      .modules-list-badge {
+        margin-left: 6px;
+        padding: 1px 6px;
+        border-radius: 8px;
+        font-size: 0.75rem;
+        vertical-align: middle;
+        color: var(--folio-on-badge);
+        background: var(--folio-badge);
+      }
+      .modules-list-meta {
+        margin-left: 1.5rem;
+        color: var(--folio-muted);
+        font-size: 1rem;
+      }
+      .modules-list-label {
+        font-weight: 500;
+        color: var(--folio-subtle);
+      }
+      .modules-list-repository {
+        margin: 4px 0 0 1.5rem;
+        font-size: 0.8rem;
+        color: var(--folio-subtle);
+      }
+      .modules-list-ci-failure {
+        color: var(--folio-error);
+      }
+      .modules-list-details {
+        margin-top: 6px;
+        margin-left: 1.5rem;
+        padding: 2px 8px;
+        font-size: 0.85rem;
+        border: 1px solid var(--folio-border);
+        border-radius: 4px;
+        background: var(--folio-surface);
+        color: var(--folio-accent);
+        cursor: pointer;
+      }
+    `;
+    document.head.appendChild(style);
+  }
 }
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Prefetch the module sheet into a static data.json
+ * The page loads data.json first (see PrefetchedSource), so a static deploy such as
+ * GitHub Pages needs no CORS proxy. Run it on a schedule to keep the file fresh, or
+ * offline against local files.
+ *
+ * Usage:
+ *   node prefetch.js [options]
+ *
+ * Options:
+ *   --id <spreadsheetId>      Spreadsheet to read (default: the spreadsheet of the page)
+ *   --sheet <tab>             gid, tab name or A1 range (default: the first tab)
+ *   --key <apiKey>            Read through the Sheets API instead of the public CSV export
+ *   --url <url>               Read a CSV, TSV or JSON file from a URL instead
+ *   --file <path>             Read a local CSV, TSV or JSON file instead
+ *   --join <joins>            Lookup tabs joined into the rows, as &join= on the page;
+ *                             with --file the tabs are local files
+ *   --type-rules <rules>      Custom module type rules, as &typeRules= on the page
+ *   --out <path>              Output file (default: data.json)
+ *   --strict                  Do not write the file when validation finds errors
+ *   --metadata <path>         Also write the modules' repository metadata from GitHub to a JSON
+ *                             file the page reads with &metadata=<path>
+ *   --repo <template>         Repository URL of each module, as &repo= on the page
+ *                             (default: https://github.com/folio-org/{module})
+ *   --github-token <token>    Token for the GitHub API (default: $GITHUB_TOKEN); without one
+ *                             GitHub allows metadata of about a dozen modules an hour
+ *
+ * Examples (fixtures/ holds a small sample sheet for trying the script offline):
+ *   node prefetch.js --sheet Modules --join "Teams|team"
+ *   node prefetch.js --file fixtures/modules.csv --join "fixtures/teams.csv|team" --out /tmp/data.json
+ *   GITHUB_TOKEN=... node prefetch.js --metadata metadata.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The page scripts find each other as globals
+Object.assign(global,
+    require('./sheets-reader.js'),
+    require('./membership.js'),
+    require('./module-types.js'),
+    require('./releases.js'),
+    require('./sheet-join.js'),
+    require('./data-validator.js'),
+    require('./data-sources.js'),
+    require('./repository-metadata.js'));
+
+// Same spreadsheet as dashboard.js
+const DEFAULT_SPREADSHEET_ID = '1n2PW0gH7ZsjqnoDsRguJaoATYdoTuU6OkGFPUV2RHXI';
+
+const FLAGS = ['strict', 'help'];
+const OPTIONS = ['id', 'sheet', 'key', 'url', 'file', 'join', 'type-rules', 'out', 'metadata', 'repo', 'github-token'];
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options by name; flags are true when given
+ */
+function parseArgs(argv) {
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+
+        if (FLAGS.includes(name)) {
+            options[name] = true;
+        } else if (OPTIONS.includes(name) && i + 1 < argv.length) {
+            options[name] = argv[++i];
+        } else {
+            throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Read and join the rows described by the options
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<Object>} { data, source } where source is recorded in the output file
+ */
+async function readRows(options) {
+    // Node talks to Google directly; the proxy is only needed in the browser
+    const reader = new GoogleSheetsReader(options.key || null, false);
+    const joins = parseJoinSpecs(options.join);
+
+    if (options.file) {
+        const readFile = file => parseDataText(fs.readFileSync(file, 'utf8'), detectFormat(file), reader);
+        const lookups = await loadJoins(joins, async file => readFile(file));
+
+        return {
+            data: joinSheets(readFile(options.file), lookups),
+            source: { type: 'file', file: path.basename(options.file) }
+        };
+    }
+
+    if (options.url) {
+        const { data } = await new UrlSource({ url: options.url }, reader).load();
+        return { data, source: { type: 'url', url: options.url } };
+    }
+
+    const spreadsheetId = options.id || DEFAULT_SPREADSHEET_ID;
+
+    if (options.key) {
+        const range = options.sheet || undefined;
+        const { data } = await new SheetsApiSource({ spreadsheetId, apiKey: options.key, range, joins }, reader).load();
+        // The API key is not written to the file
+        return { data, source: { type: 'api', spreadsheetId, range: range || null } };
+    }
+
+    const sheetName = options.sheet || '0';
+    const { data } = await new PublicSheetSource({ spreadsheetId, sheetName, joins }, reader).load();
+    return { data, source: { type: 'sheet', spreadsheetId, sheetName } };
+}
+
+/**
+ * Write the repository metadata of the modules, keyed by module name (see parseMetadataJson)
+ * @param {Array} data - Module rows
+ * @param {Object} options - Parsed arguments
+ */
+async function writeMetadata(data, options) {
+    const source = new GitHubMetadataSource({
+        template: checkRepositoryTemplate(options.repo),
+        token: options['github-token'] || process.env.GITHUB_TOKEN || null
+    });
+    const modules = [...new Set(data.map(row => row.module).filter(Boolean))];
+    const metadata = await source.load(modules);
+
+    // Modules GitHub knows nothing about have empty records; they are left out of the file
+    const records = [...metadata].filter(([, values]) => Object.keys(values).length > 0);
+    const json = { timestamp: new Date().toISOString(), modules: Object.fromEntries(records) };
+
+    fs.writeFileSync(options.metadata, JSON.stringify(json, null, 2) + '\n');
+    console.log(`Wrote repository metadata of ${records.length} of ${modules.length} modules to ${options.metadata}`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.log(fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1].replace(/^ \* ?/gm, '').trim());
+        return;
+    }
+
+    const out = options.out || 'data.json';
+    addModuleTypeRules(parseModuleTypeRules(options['type-rules']));
+
+    const { data, source } = await readRows(options);
+    const issues = validateModules(data);
+    const errors = issues.filter(issue => issue.severity === 'error');
+
+    issues.forEach(issue => {
+        const rows = issue.rows.length > 0 ? ` (${issue.rows.length > 1 ? 'rows' : 'row'} ${issue.rows.join(', ')})` : '';
+        console.warn(`${issue.severity}: ${issue.message}${rows}`);
+    });
+
+    if (options.strict && errors.length > 0) {
+        throw new Error(`Validation found ${errors.length} error(s); ${out} was not written`);
+    }
+
+    fs.writeFileSync(out, JSON.stringify(createPrefetchedData(data, source), null, 2) + '\n');
+    console.log(`Wrote ${data.length} modules to ${out} (${errors.length} errors, ${issues.length - errors.length} warnings)`);
+
+    if (options.metadata) await writeMetadata(data, options);
+}
+
+main().catch(error => {
+    console.error(`prefetch failed: ${error.message}`);
+    process.exitCode = 1;
+});
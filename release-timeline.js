@@ -0,0 +1,179 @@
+class ReleaseTimeline {
+  constructor(containerId, onBrush, width = 770, height = 190) {
+    this.containerId = containerId;
+    this.onBrush = typeof onBrush === 'function' ? onBrush : () => {};
+    this.width = width;
+    this.height = height;
+    this.tooltip = Tooltip.shared();
+    this.rows = [];
+    this.selected = [];
+  }
+
+  // Rows to count and the releases currently selected in the filters
+  setData(rows, selected = []) {
+    this.rows = rows;
+    this.selected = selected;
+    this._render();
+
+    return this;
+  }
+
+  _render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    container.innerHTML = '';
+
+    const releases = sortReleases(this.rows.map(row => row['first release']));
+    if (releases.length === 0) return;
+
+    const _self = this;
+    const margin = { top: 24, right: 16, bottom: 56, left: 36 };
+    const innerWidth = this.width - margin.left - margin.right;
+    const innerHeight = this.height - margin.top - margin.bottom;
+
+    // Modules each team introduced per release, stacked by team; shared modules count for each owner
+    const entries = this.rows.flatMap(row => {
+      const teams = getTeams(row);
+      return (teams.length > 0 ? teams : ['']).map(team => ({ release: row['first release'], team }));
+    });
+    const teams = [...new Set(entries.map(entry => entry.team))].sort(d3.ascending);
+    const counts = d3.rollup(entries, group => group.length, entry => entry.release, entry => entry.team);
+    const table = releases.map(release => {
+      const byTeam = counts.get(release) || new Map();
+      return Object.assign({ release }, ...teams.map(team => ({ [team]: byTeam.get(team) || 0 })));
+    });
+    const series = d3.stack().keys(teams)(table);
+
+    const teamColor = createColorEncoding('team', this.rows.filter(row => row['first release']));
+    const color = team => teamColor.color({ team });
+
+    const x = d3.scaleBand()
+      .domain(releases)
+      .range([0, innerWidth])
+      .padding(0.2);
+
+    const y = d3.scaleLinear()
+      .domain([0, d3.max(series, s => d3.max(s, d => d[1])) || 1])
+      .nice()
+      .range([innerHeight, 0]);
+
+    const selected = new Set(this.selected);
+    const isSelected = release => selected.size === 0 || selected.has(release);
+
+    const svg = d3.create("svg")
+      .attr("viewBox", [0, 0, this.width, this.height])
+      .attr("width", this.width)
+      .attr("height", this.height)
+      .attr("style", "max-width: 100%; display: block; margin: 0 auto; font: 11px 'Segoe UI', 'Roboto', 'Arial', sans-serif;")
+      .attr("role", "img")
+      .attr("aria-label", `Modules introduced per release, ${releases[0]} to ${releases[releases.length - 1]}; filter releases in the sidebar`);
+
+    svg.append("text")
+      .attr("x", margin.left)
+      .attr("y", 14)
+      .style("font-size", "13px")
+      .style("fill", themeColor("heading"))
+      .text("Modules introduced per release (drag to filter)");
+
+    const g = svg.append("g")
+      .attr("transform", `translate(${margin.left},${margin.top})`);
+
+    g.append("g")
+      .selectAll("g")
+      .data(series)
+      .join("g")
+      .attr("fill", s => color(s.key))
+      .selectAll("rect")
+      .data(s => s)
+      .join("rect")
+      .attr("x", d => x(d.data.release))
+      .attr("y", d => y(d[1]))
+      .attr("height", d => y(d[0]) - y(d[1]))
+      .attr("width", x.bandwidth())
+      .attr("fill-opacity", d => isSelected(d.data.release) ? 1 : 0.3);
+
+    const xAxis = g.append("g")
+      .attr("transform", `translate(0,${innerHeight})`)
+      .call(d3.axisBottom(x).tickSizeOuter(0))
+      .call(axis => axis.selectAll("text")
+        .attr("fill-opacity", release => isSelected(release) ? 1 : 0.5));
+
+    // Tilt the labels when the release names do not fit side by side
+    if (x.step() < 70) {
+      xAxis.selectAll("text")
+        .attr("text-anchor", "end")
+        .attr("dx", "-0.4em")
+        .attr("dy", "0.6em")
+        .attr("transform", "rotate(-25)");
+    }
+
+    g.append("g")
+      .call(d3.axisLeft(y).ticks(Math.min(4, y.domain()[1]), "d"))
+      .call(axis => axis.select(".domain").remove());
+
+    // Brushing snaps to whole releases and selects them in the filters
+    const brush = d3.brushX()
+      .extent([[0, 0], [innerWidth, innerHeight]])
+      .on("end", function(event) {
+        if (!event.sourceEvent) return;
+
+        if (!event.selection) {
+          _self.onBrush(null);
+          return;
+        }
+
+        const [x0, x1] = event.selection;
+        const range = releases.filter(release => {
+          const center = x(release) + x.bandwidth() / 2;
+          return center >= x0 && center <= x1;
+        });
+
+        if (range.length === 0) {
+          d3.select(this).call(brush.move, null);
+          _self.onBrush(null);
+          return;
+        }
+
+        d3.select(this).call(brush.move, bandExtent(range));
+        _self.onBrush(range);
+      });
+
+    const brushGroup = g.append("g")
+      .call(brush);
+
+    // The brush covers the bars, so it shows the tooltip of the release under the pointer
+    brushGroup
+      .on("mousemove.tooltip", event => this._showTooltip(event, releaseAt(d3.pointer(event)[0]), counts))
+      .on("mouseout.tooltip", () => this.tooltip.hide());
+
+    // Show a contiguous selection as the brush
+    const indexes = this.selected.map(release => releases.indexOf(release)).sort(d3.ascending);
+    if (indexes.length > 0 && indexes[0] !== -1 && indexes[indexes.length - 1] - indexes[0] === indexes.length - 1) {
+      brushGroup.call(brush.move, bandExtent(indexes.map(i => releases[i])));
+    }
+
+    function bandExtent(range) {
+      const step = x.step() * x.paddingInner() / 2;
+      return [x(range[0]) - step, x(range[range.length - 1]) + x.bandwidth() + step];
+    }
+
+    function releaseAt(px) {
+      return releases.find(release => px >= x(release) && px <= x(release) + x.bandwidth());
+    }
+
+    container.appendChild(svg.node());
+  }
+
+  _showTooltip(event, release, counts) {
+    if (!release) {
+      this.tooltip.hide();
+      return;
+    }
+
+    const byTeam = counts.get(release) || new Map();
+    const rows = Array.from(byTeam, ([team, count]) => [team || '(no team)', count])
+      .sort((a, b) => b[1] - a[1]);
+
+    this.tooltip.show(event, release, rows);
+  }
+}
@@ -0,0 +1,66 @@
+// FOLIO releases, oldest first; from Fameflower on the flower names follow the alphabet
+const RELEASE_ORDER = [
+  'Q4 2018', 'Q1 2019', 'Q2 2019', 'Q3 2019', 'Q4 2019',
+  'Fameflower', 'Goldenrod', 'Honeysuckle', 'Iris', 'Juniper', 'Kiwi', 'Lotus', 'Morning Glory',
+  'Nolana', 'Orchid', 'Poppy', 'Quesnelia', 'Ramsons', 'Sunflower', 'Trillium'
+];
+
+// Position of a release in RELEASE_ORDER, or -1; "Orchid (R1 2023)" matches "Orchid".
+// An exact match wins, then the longest release the name starts with as a whole word,
+// so "2023.10" is not taken for "2023.1"
+function getReleaseIndex(name) {
+  const lower = String(name || '').trim().toLowerCase();
+  if (!lower) return -1;
+
+  const releases = RELEASE_ORDER.map(release => release.toLowerCase());
+  const exact = releases.indexOf(lower);
+  if (exact !== -1) return exact;
+
+  let index = -1;
+  releases.forEach((release, i) => {
+    const prefix = release && lower.startsWith(release) && !/[a-z0-9]/.test(lower.charAt(release.length));
+    if (prefix && (index === -1 || release.length > releases[index].length)) index = i;
+  });
+  return index;
+}
+
+// Known releases in release order, then unknown ones by name
+function compareReleases(a, b) {
+  const indexA = getReleaseIndex(a);
+  const indexB = getReleaseIndex(b);
+
+  if (indexA !== -1 && indexB !== -1) return indexA - indexB;
+  if (indexA !== -1) return -1;
+  if (indexB !== -1) return 1;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+// Distinct non-empty releases, oldest first
+function sortReleases(values) {
+  return [...new Set(values.filter(Boolean))].sort(compareReleases);
+}
+
+// Replace the release ordering, e.g. for another project's release names
+function setReleaseOrder(names) {
+  RELEASE_ORDER.splice(0, RELEASE_ORDER.length, ...names);
+}
+
+// Parse an ordering written as comma separated release names, oldest first
+function parseReleaseOrder(text) {
+  return String(text || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RELEASE_ORDER,
+    getReleaseIndex,
+    compareReleases,
+    sortReleases,
+    setReleaseOrder,
+    parseReleaseOrder
+  };
+}
@@ -0,0 +1,352 @@
+/**
+ * Repository metadata of the modules
+ * The latest release, last commit, open issues and pull requests and CI status of each
+ * module's repository, read from the GitHub API or from a JSON file (e.g. written by
+ * `prefetch.js --metadata` for offline use), are merged into the module rows as extra
+ * columns, so cards, the detail drawer and the chart's size and color controls can use them.
+ */
+
+const DEFAULT_REPOSITORY_URL = 'https://github.com/folio-org/{module}';
+
+// Columns added to the module rows
+const METADATA_COLUMNS = {
+    latestRelease: 'latest release',
+    lastCommit: 'last commit',
+    daysSinceCommit: 'days since commit',
+    openIssues: 'open issues',
+    openPullRequests: 'open pull requests',
+    ciStatus: 'ci status'
+};
+
+// Ages of the last commit, newest first
+const COMMIT_AGES = [
+    { label: 'Last week', days: 7 },
+    { label: 'Last month', days: 31 },
+    { label: 'Last quarter', days: 92 },
+    { label: 'Last year', days: 366 },
+    { label: 'Older', days: Infinity }
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Repository URL template that is safe to link to
+ * Templates can come from the page URL (?repo=), so only http and https URLs are accepted.
+ * @param {string} template - URL with a {module} placeholder
+ * @returns {string} The template, or DEFAULT_REPOSITORY_URL when it is missing or not an http(s) URL
+ */
+function checkRepositoryTemplate(template) {
+    if (!template) return DEFAULT_REPOSITORY_URL;
+
+    try {
+        const { protocol } = new URL(String(template).replace(/\{module\}/g, 'module'));
+        if (protocol === 'http:' || protocol === 'https:') return String(template);
+    } catch (error) {
+        // Not an absolute URL
+    }
+
+    console.warn(`Ignoring repository URL ${template}: only http and https URLs are linked`);
+    return DEFAULT_REPOSITORY_URL;
+}
+
+/**
+ * Repository URL of a module
+ * @param {string} module - Module name
+ * @param {string} template - URL with a {module} placeholder
+ * @returns {string} URL
+ */
+function repositoryUrl(module, template = DEFAULT_REPOSITORY_URL) {
+    return checkRepositoryTemplate(template).replace(/\{module\}/g, encodeURIComponent(module));
+}
+
+/**
+ * GitHub owner and repository of a module
+ * @param {string} module - Module name
+ * @param {string} template - Repository URL template
+ * @returns {Object|null} { owner, repo }, or null when the URL is not a GitHub repository
+ */
+function gitHubRepository(module, template = DEFAULT_REPOSITORY_URL) {
+    const match = repositoryUrl(module, template).match(/^https:\/\/github\.com\/([^/]+)\/([^/?#]+)/);
+    return match ? { owner: match[1], repo: match[2] } : null;
+}
+
+/**
+ * Module repository metadata read from the GitHub API
+ * Without a token GitHub allows 60 requests an hour (about a dozen modules), so results are
+ * cached for maxAge and a rate limit stops the reading with what has been read so far.
+ */
+class GitHubMetadataSource {
+    constructor({ template = DEFAULT_REPOSITORY_URL, token = null, concurrency = 4, maxAge = 6 * 60 * 60 * 1000 } = {},
+        cache = new SheetsCache(SheetsCache.defaultStorage(), 'repository-metadata')) {
+        this.template = template;
+        this.token = token;
+        this.concurrency = concurrency;
+        this.maxAge = maxAge;
+        this.cache = cache;
+        this.apiUrl = 'https://api.github.com';
+    }
+
+    /**
+     * @param {Array<string>} modules - Module names
+     * @returns {Promise<Map>} Metadata by module name (see enrichRows)
+     * @throws {Error} When GitHub cannot be reached or answers with an error other than 404
+     */
+    async load(modules) {
+        const cacheKey = `github:${this.template}`;
+        const cached = this.cache.get(cacheKey);
+        const records = new Map((cached ? cached.data : []).map(record => [record.module, record]));
+
+        const now = Date.now();
+        const queue = [...new Set(modules)].filter(module => {
+            const record = records.get(module);
+            return !record || now - record.fetchedAt > this.maxAge;
+        });
+
+        let rateLimited = false;
+        let failure = null;
+        const worker = async () => {
+            while (queue.length > 0 && !rateLimited && !failure) {
+                const module = queue.shift();
+                try {
+                    records.set(module, { module, fetchedAt: Date.now(), ...await this._fetchModule(module) });
+                } catch (error) {
+                    if (error.rateLimited) {
+                        rateLimited = true;
+                        console.warn(`GitHub rate limit reached; ${queue.length + 1} modules keep older or no metadata`);
+                    } else if (error.status === 404) {
+                        // Unknown repositories are remembered too, so they are not asked for on every load
+                        console.warn(`No repository metadata for ${module}: ${error.message}`);
+                        records.set(module, { module, fetchedAt: Date.now() });
+                    } else {
+                        failure = error;
+                    }
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: this.concurrency }, worker));
+
+        // Network errors, bad tokens and server errors leave the cache as it was, to be tried again
+        if (failure) throw failure;
+
+        this.cache.set(cacheKey, [...records.values()]);
+
+        return new Map([...records.values()].map(({ module, fetchedAt, ...metadata }) => [module, metadata]));
+    }
+
+    describe() {
+        return 'GitHub';
+    }
+
+    /**
+     * @param {string} module - Module name
+     * @returns {Promise<Object>} { latestRelease, lastCommit, openIssues, openPullRequests, ciStatus }
+     */
+    async _fetchModule(module) {
+        // Repositories outside GitHub have no metadata to read
+        const repository = gitHubRepository(module, this.template);
+        if (!repository) return {};
+
+        const base = `/repos/${repository.owner}/${repository.repo}`;
+        const [repo, commits, release, openPullRequests] = await Promise.all([
+            this._get(base),
+            this._get(`${base}/commits?per_page=1`),
+            this._get(`${base}/releases/latest`).catch(error => {
+                if (error.status === 404) return null;
+                throw error;
+            }),
+            this._count(`${base}/pulls?state=open&per_page=1`)
+        ]);
+
+        const commit = commits[0];
+        const checks = commit ? await this._get(`${base}/commits/${commit.sha}/check-runs?per_page=100`) : null;
+
+        return {
+            latestRelease: release ? release.tag_name : null,
+            lastCommit: commit ? commit.commit.committer.date.slice(0, 10) : null,
+            // GitHub counts pull requests as issues
+            openIssues: Math.max(0, repo.open_issues_count - openPullRequests),
+            openPullRequests,
+            ciStatus: checks ? ciStatus(checks.check_runs) : null
+        };
+    }
+
+    async _request(path) {
+        const headers = { Accept: 'application/vnd.github+json' };
+        if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+        const response = await fetch(`${this.apiUrl}${path}`, { headers });
+        if (!response.ok) {
+            const error = new Error(`GitHub API error! status: ${response.status}`);
+            error.status = response.status;
+            error.rateLimited = response.status === 429 ||
+                (response.status === 403 && response.headers.get('x-ratelimit-remaining') === '0');
+            throw error;
+        }
+
+        return response;
+    }
+
+    async _get(path) {
+        return (await this._request(path)).json();
+    }
+
+    // Number of items of a list requested one per page: the number of the last page
+    async _count(path) {
+        const response = await this._request(path);
+        const last = (response.headers.get('link') || '').match(/[?&]page=(\d+)>;\s*rel="last"/);
+        if (last) return Number(last[1]);
+
+        return (await response.json()).length;
+    }
+}
+
+/**
+ * Module repository metadata read from a JSON file, for offline use
+ */
+class JsonMetadataSource {
+    constructor({ url }, reader = new GoogleSheetsReader()) {
+        this.url = url;
+        this.reader = reader;
+    }
+
+    /**
+     * @returns {Promise<Map>} Metadata by module name
+     */
+    async load() {
+        return parseMetadataJson(JSON.parse(await this.reader.fetchCSVText(this.url)));
+    }
+
+    describe() {
+        return this.url;
+    }
+}
+
+/**
+ * Read metadata written as an object keyed by module name, or as an array of records with a module field
+ * @param {Object|Array} json - e.g. { "mod-users": { "latestRelease": "v19.2.0", "openIssues": 3 } }
+ * @returns {Map} Metadata by module name
+ */
+function parseMetadataJson(json) {
+    const records = Array.isArray(json) ? json : (json.modules || json);
+    if (Array.isArray(records)) {
+        return new Map(records.filter(record => record && record.module).map(({ module, ...metadata }) => [module, metadata]));
+    }
+
+    return new Map(Object.entries(records || {}));
+}
+
+/**
+ * Build a metadata source from the metadata URL parameter
+ * @param {string} value - 'github', or the URL of a JSON file
+ * @param {Object} options - Options of GitHubMetadataSource ({ template, token })
+ * @returns {Object|null} Metadata source, or null without a value
+ */
+function createMetadataSource(value, options = {}) {
+    if (!value) return null;
+    if (value === 'github') return new GitHubMetadataSource(options);
+    return new JsonMetadataSource({ url: value });
+}
+
+/**
+ * Overall state of the check runs of a commit
+ * @param {Array} checkRuns - Check runs from the GitHub API
+ * @returns {string|null} 'failure', 'pending', 'success', or null without checks
+ */
+function ciStatus(checkRuns = []) {
+    if (checkRuns.length === 0) return null;
+
+    const failed = ['failure', 'timed_out', 'cancelled', 'action_required', 'startup_failure'];
+    if (checkRuns.some(run => failed.includes(run.conclusion))) return 'failure';
+    if (checkRuns.some(run => run.status !== 'completed')) return 'pending';
+    return 'success';
+}
+
+/**
+ * Add the metadata columns to the module rows
+ * Values on the rows win, as with joined tabs (see joinSheets).
+ * @param {Array} rows - Module rows
+ * @param {Map} metadata - Metadata by module name
+ * @param {number} now - Time the commit ages are counted from
+ * @returns {Array} New module rows, keeping their sheet row numbers
+ */
+function enrichRows(rows, metadata, now = Date.now()) {
+    if (!metadata || metadata.size === 0) return rows;
+
+    return rows.map(row => {
+        const values = metadata.get(row.module);
+        if (!values) return row;
+
+        const enriched = setRowNumber({ ...row }, getRowNumber(row));
+        const lastCommit = values.lastCommit ? Date.parse(values.lastCommit) : NaN;
+        const columns = {
+            ...values,
+            daysSinceCommit: isNaN(lastCommit) ? null : Math.max(0, Math.floor((now - lastCommit) / DAY))
+        };
+
+        Object.entries(METADATA_COLUMNS).forEach(([field, column]) => {
+            const value = columns[field];
+            if (enriched[column] || value === null || value === undefined) return;
+            enriched[column] = String(value);
+        });
+
+        return enriched;
+    });
+}
+
+/**
+ * Age bucket of a last commit date
+ * @param {string} date - e.g. "2024-05-01"
+ * @param {number} now - Time the age is counted from
+ * @returns {string} Label from COMMIT_AGES, or '' without a date
+ */
+function commitAge(date, now = Date.now()) {
+    const time = date ? Date.parse(date) : NaN;
+    if (isNaN(time)) return '';
+
+    const days = (now - time) / DAY;
+    return COMMIT_AGES.find(age => days <= age.days).label;
+}
+
+function compareCommitAges(a, b) {
+    const index = label => COMMIT_AGES.findIndex(age => age.label === label);
+    return index(a) - index(b);
+}
+
+/**
+ * Short descriptions of the metadata of a row, for module cards
+ * @param {Object} row - Module row enriched by enrichRows
+ * @returns {Array<string>} e.g. ["v19.2.0", "Committed 2024-05-01", "3 open issues", "CI failing"]
+ */
+function describeRepositoryMetadata(row) {
+    const count = (value, noun) => `${value} open ${noun}${Number(value) === 1 ? '' : 's'}`;
+    const ci = { success: 'CI passing', failure: 'CI failing', pending: 'CI running' };
+
+    return [
+        row[METADATA_COLUMNS.latestRelease],
+        row[METADATA_COLUMNS.lastCommit] && `Committed ${row[METADATA_COLUMNS.lastCommit]}`,
+        row[METADATA_COLUMNS.openIssues] && count(row[METADATA_COLUMNS.openIssues], 'issue'),
+        row[METADATA_COLUMNS.openPullRequests] && count(row[METADATA_COLUMNS.openPullRequests], 'pull request'),
+        ci[row[METADATA_COLUMNS.ciStatus]]
+    ].filter(Boolean);
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_REPOSITORY_URL,
+        METADATA_COLUMNS,
+        COMMIT_AGES,
+        checkRepositoryTemplate,
+        repositoryUrl,
+        gitHubRepository,
+        GitHubMetadataSource,
+        JsonMetadataSource,
+        parseMetadataJson,
+        createMetadataSource,
+        ciStatus,
+        enrichRows,
+        commitAge,
+        compareCommitAges,
+        describeRepositoryMetadata
+    };
+}
@@ -0,0 +1,201 @@
+// Fields searched for each module, with the weight of a match in that field
+const SEARCH_FIELDS = [
+  { key: 'module', label: 'Module', weight: 1 },
+  { key: 'team', label: 'Team', weight: 0.8 },
+  { key: 'application', label: 'Application', weight: 0.8 },
+  { key: 'product owner', label: 'Product owner', weight: 0.6 },
+  { key: 'dev lead/contact', label: 'Lead', weight: 0.6 }
+];
+
+// Score how well the query matches the text: substrings score highest (earlier is better),
+// then in-order subsequences (consecutive characters are better). Null when it does not match.
+function fuzzyScore(query, text) {
+  const q = query.toLowerCase();
+  const t = String(text || '').toLowerCase();
+  if (!q || !t) return null;
+
+  const index = t.indexOf(q);
+  if (index !== -1) return 1000 + (index === 0 ? 100 : 0) - index;
+
+  let score = 0;
+  let position = 0;
+  let streak = 0;
+  for (const char of q) {
+    const found = t.indexOf(char, position);
+    if (found === -1) return null;
+
+    streak = found === position ? streak + 1 : 0;
+    score += 1 + streak;
+    position = found + 1;
+  }
+
+  return score;
+}
+
+class SearchBox {
+  constructor(containerId, onSelect, maxResults = 10) {
+    this.containerId = containerId;
+    this.onSelect = typeof onSelect === 'function' ? onSelect : () => {};
+    this.maxResults = maxResults;
+    this.data = [];
+    this.results = [];
+    this.activeIndex = -1;
+    this._render();
+  }
+
+  setData(data) {
+    this.data = Array.isArray(data) ? data.slice() : [];
+    this._search(this.input ? this.input.value : '');
+
+    return this;
+  }
+
+  search(query) {
+    const matches = [];
+
+    this.data.forEach(row => {
+      let best = null;
+
+      SEARCH_FIELDS.forEach(field => {
+        const score = fuzzyScore(query, row[field.key]);
+        if (score === null) return;
+
+        const weighted = score * field.weight;
+        if (!best || weighted > best.score) best = { row, field, score: weighted };
+      });
+
+      if (best) matches.push(best);
+    });
+
+    return matches
+      .sort((a, b) => b.score - a.score || (a.row.module || '').localeCompare(b.row.module || ''))
+      .slice(0, this.maxResults);
+  }
+
+  _render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    container.innerHTML = '';
+
+    const wrapper = document.createElement('div');
+    wrapper.style.position = 'relative';
+    wrapper.style.maxWidth = '260px';
+    wrapper.style.margin = '12px 16px 0';
+
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.placeholder = 'Search modules, teams, people…';
+    input.setAttribute('aria-label', 'Search modules');
+    input.setAttribute('autocomplete', 'off');
+    input.style.width = '100%';
+    input.style.boxSizing = 'border-box';
+    input.style.fontSize = '1rem';
+    input.style.padding = '7px 10px';
+    input.style.borderRadius = '6px';
+    input.style.border = '1px solid var(--folio-border-strong)';
+
+    const list = document.createElement('ul');
+    list.setAttribute('role', 'listbox');
+    list.style.listStyle = 'none';
+    list.style.margin = '2px 0 0';
+    list.style.padding = '0';
+    list.style.position = 'absolute';
+    list.style.left = '0';
+    list.style.right = '0';
+    list.style.zIndex = '10';
+    list.style.background = 'var(--folio-surface)';
+    list.style.border = '1px solid var(--folio-border)';
+    list.style.borderRadius = '6px';
+    list.style.boxShadow = '0 2px 8px var(--folio-shadow)';
+    list.style.maxHeight = '320px';
+    list.style.overflowY = 'auto';
+    list.style.display = 'none';
+
+    input.addEventListener('input', () => this._search(input.value));
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        this._setActive(Math.min(this.activeIndex + 1, this.results.length - 1));
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        this._setActive(Math.max(this.activeIndex - 1, 0));
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        const result = this.results[Math.max(this.activeIndex, 0)];
+        if (result) this._select(result);
+      } else if (e.key === 'Escape') {
+        this._close();
+      }
+    });
+    input.addEventListener('blur', () => setTimeout(() => this._close(), 150));
+
+    wrapper.appendChild(input);
+    wrapper.appendChild(list);
+    container.appendChild(wrapper);
+
+    this.input = input;
+    this.list = list;
+  }
+
+  _search(query) {
+    this.results = query.trim() ? this.search(query.trim()) : [];
+    this.activeIndex = -1;
+    this._renderResults();
+  }
+
+  _renderResults() {
+    if (!this.list) return;
+    this.list.innerHTML = '';
+    this.list.style.display = this.results.length > 0 ? 'block' : 'none';
+
+    this.results.forEach((result, index) => {
+      const li = document.createElement('li');
+      li.setAttribute('role', 'option');
+      li.style.padding = '6px 10px';
+      li.style.cursor = 'pointer';
+      li.style.background = index === this.activeIndex ? 'var(--folio-surface-hover)' : '';
+
+      const name = document.createElement('div');
+      name.textContent = result.row.module;
+      name.style.fontWeight = '500';
+      name.style.color = 'var(--folio-text)';
+      li.appendChild(name);
+
+      const meta = document.createElement('div');
+      meta.style.fontSize = '0.8rem';
+      meta.style.color = 'var(--folio-subtle)';
+      meta.textContent = result.field.key === 'module'
+        ? [result.row.team, result.row.application].filter(Boolean).join(' · ')
+        : `${result.field.label}: ${result.row[result.field.key]}`;
+      li.appendChild(meta);
+
+      // mousedown fires before the input blurs and closes the list
+      li.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        this._select(result);
+      });
+
+      this.list.appendChild(li);
+    });
+  }
+
+  _setActive(index) {
+    this.activeIndex = index;
+    this._renderResults();
+
+    const active = this.list.children[index];
+    if (active) active.scrollIntoView({ block: 'nearest' });
+  }
+
+  _select(result) {
+    this.input.value = result.row.module;
+    this._close();
+    this.onSelect(result.row);
+  }
+
+  _close() {
+    this.results = [];
+    this.activeIndex = -1;
+    this._renderResults();
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Lookup tabs joined into the module rows
+ * A spreadsheet may keep teams, applications and people on tabs of their own. A join
+ * names such a tab, the column identifying its rows and the module column referring
+ * to them; the other columns of the matching rows are copied into the module rows.
+ */
+
+/**
+ * Parse joins written as tab|key[|module column], separated by commas
+ * @param {string} text - e.g. "Teams|team,Applications!A:D|application,People|name|product owner"
+ * @returns {Array} Array of { sheet, key, on }; the module column defaults to the key
+ */
+function parseJoinSpecs(text) {
+    return String(text || '')
+        .split(',')
+        .map(spec => spec.split('|').map(part => part.trim()))
+        .filter(([sheet, key]) => sheet && key)
+        .map(([sheet, key, on]) => ({ sheet, key: key.toLowerCase(), on: (on || key).toLowerCase() }));
+}
+
+/**
+ * Read the tabs of the joins
+ * @param {Array} joins - Joins from parseJoinSpecs
+ * @param {Function} readSheet - async (sheet) => rows as objects
+ * @returns {Promise<Array>} The joins with their `rows`
+ */
+async function loadJoins(joins, readSheet) {
+    return Promise.all(joins.map(async join => ({ ...join, rows: await readSheet(join.sheet) })));
+}
+
+/**
+ * Copy the columns of matching lookup rows into the module rows
+ * Values on the module row win, and later joins see the columns added by earlier ones
+ * (e.g. a product owner taken from the Teams tab). Keys are matched ignoring case; a module listing several
+ * teams or applications gets the values of each listed row, separated like the teams are.
+ * A join on another column than its key prefixes the copied columns with that column,
+ * e.g. People joined on "product owner" adds "product owner email".
+ * @param {Array} rows - Module rows
+ * @param {Array} joins - Joins with their rows, from loadJoins
+ * @returns {Array} New module rows, keeping their sheet row numbers
+ */
+function joinSheets(rows, joins = []) {
+    if (joins.length === 0) return rows;
+
+    const lookups = joins.map(({ key, on = key, prefix, rows: lookupRows }) => {
+        const byKey = new Map();
+        lookupRows.forEach(row => {
+            const value = normalizeJoinKey(row[key]);
+            if (value && !byKey.has(value)) byKey.set(value, row);
+        });
+
+        return { key, on, prefix: prefix !== undefined ? prefix : (on === key ? '' : `${on} `), byKey };
+    });
+
+    return rows.map(row => {
+        const joined = setRowNumber({ ...row }, getRowNumber(row));
+
+        lookups.forEach(({ key, on, prefix, byKey }) => {
+            const matches = splitMembership(joined[on])
+                .map(value => byKey.get(normalizeJoinKey(value)))
+                .filter(Boolean);
+
+            const columns = new Set(matches.flatMap(match => Object.keys(match)));
+            columns.delete(key);
+
+            columns.forEach(column => {
+                const name = prefix + column;
+                if (joined[name]) return;
+
+                const values = [...new Set(matches.map(match => match[column]).filter(Boolean))];
+                if (values.length > 0) joined[name] = values.join(`${MEMBERSHIP_SEPARATOR} `);
+            });
+        });
+
+        return joined;
+    });
+}
+
+function normalizeJoinKey(value) {
+    return String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseJoinSpecs,
+        loadJoins,
+        joinSheets
+    };
+}
@@ -12,20 +12,22 @@ class GoogleSheetsReader {
         this.corsProxies = [
             'https://api.allorigins.win/raw?url=',
         ];
+        this.parseErrors = [];
+        this.cache = new SheetsCache();
     }
 
     /**
      * Read data from a public Google Spreadsheet and return as objects
      * @param {string} spreadsheetId - The ID of the Google Spreadsheet
-     * @param {string} sheetName - The name or gid of the sheet (default: first sheet)
+     * @param {string} sheetName - The gid or name of the sheet, optionally with a cell range
+     *   such as "Teams!A1:F50" (default: first sheet)
      * @param {boolean} asObjects - Whether to return objects with header keys (default: false)
      * @returns {Promise<Array>} Array of rows or objects
      */
     async readPublicSpreadsheet(spreadsheetId, sheetName = '0', asObjects = false) {
         try {
-            const gid = isNaN(sheetName) ? '0' : sheetName;
-            let url = `${this.publicBaseUrl}/${spreadsheetId}/export?format=csv&gid=${gid}`;
-            
+            const url = this.publicSheetUrl(spreadsheetId, sheetName);
+
             // Try without proxy first
             if (!this.useProxy) {
                 const csvText = await this.fetchCSVText(url);
@@ -51,6 +53,67 @@ class GoogleSheetsReader {
         }
     }
 
+    /**
+     * CSV URL of a sheet of a public spreadsheet.
+     * Sheets given by gid use the CSV export; sheets given by name go through the
+     * visualization API, which resolves names without an API key. Both honour a cell range.
+     * @param {string} spreadsheetId - The ID of the Google Spreadsheet
+     * @param {string} sheetName - gid, sheet name or A1 range (see parseA1Range)
+     * @returns {string} URL
+     */
+    publicSheetUrl(spreadsheetId, sheetName = '0') {
+        const { sheet, cells } = parseA1Range(sheetName);
+        const range = cells ? `&range=${encodeURIComponent(cells)}` : '';
+
+        if (/^\d+$/.test(sheet)) {
+            return `${this.publicBaseUrl}/${spreadsheetId}/export?format=csv&gid=${sheet}${range}`;
+        }
+
+        return `${this.publicBaseUrl}/${spreadsheetId}/gviz/tq?tqx=out:csv&headers=1&sheet=${encodeURIComponent(sheet)}${range}`;
+    }
+
+    /**
+     * Read a public spreadsheet through the offline cache (stale-while-revalidate).
+     * A cached copy is returned immediately and refreshed in the background;
+     * without one, the network result is awaited. Network reads are retried
+     * with exponential backoff instead of indefinitely.
+     * @param {string} spreadsheetId - The ID of the Google Spreadsheet
+     * @param {string} sheetName - The gid or name of the sheet, or an A1 range (default: first sheet)
+     * @param {Object} options - Cache and retry options
+     * @param {boolean} options.asObjects - Whether to return objects with header keys (default: true)
+     * @param {Function} options.onUpdate - Called with { data, timestamp } after a successful background refresh
+     * @param {Function} options.onError - Called with the error when the background refresh or onUpdate fails
+     * @param {number} options.retries - Number of retries after the first attempt (default: 4)
+     * @returns {Promise<Object>} { data, timestamp, fromCache }
+     */
+    async readPublicSpreadsheetCached(spreadsheetId, sheetName = '0', options = {}) {
+        const { asObjects = true, onUpdate = () => {}, onError = () => {}, retries } = options;
+        const cacheKey = SheetsCache.key(spreadsheetId, sheetName, asObjects);
+
+        const fetchFresh = async () => {
+            const data = await retryWithBackoff(
+                () => this.readPublicSpreadsheet(spreadsheetId, sheetName, asObjects),
+                { retries }
+            );
+            return this.cache.set(cacheKey, data);
+        };
+
+        const cached = this.cache.get(cacheKey);
+
+        if (!cached) {
+            const fresh = await fetchFresh();
+            return { ...fresh, fromCache: false };
+        }
+
+        // Errors of the update itself (e.g. a failed redraw) are reported too; a failing report is only logged
+        fetchFresh()
+            .then(onUpdate)
+            .catch(onError)
+            .catch(error => console.error('Failed to report a background refresh error:', error));
+
+        return { ...cached, fromCache: true };
+    }
+
     /**
      * Fetch URL and return CSV text
      * @param {string} url - URL to fetch
@@ -79,89 +142,127 @@ class GoogleSheetsReader {
     /**
      * Parse CSV text into array of arrays
      * @param {string} csvText - CSV content as string
+     * @param {Object} options - Parser options
+     * @param {string} options.delimiter - Field delimiter (default: ',', use '\t' for TSV)
+     * @param {boolean} options.strict - Throw a CSVParseError on the first malformed row (default: false)
      * @returns {Array} Array of rows
      */
-    parseCSV(csvText) {
-        const rows = [];
-        const lines = csvText.split('\n');
+    parseCSV(csvText, options = {}) {
+        return this._parseRecords(csvText, options).map(record => record.fields);
+    }
+
+    /**
+     * Parse CSV text into array of objects with headers as keys.
+     * Rows whose field count does not match the header are reported in `parseErrors`;
+     * rows with extra fields are dropped rather than shifted into the wrong columns.
+     * @param {string} csvText - CSV content as string
+     * @param {Object} options - Parser options (see parseCSV)
+     * @returns {Array} Array of objects
+     */
+    parseCSVAsObjects(csvText, options = {}) {
+        const records = this._parseRecords(csvText, options);
         
-        for (const line of lines) {
-            if (line.trim() === '') continue;
-            
-            const row = [];
-            let currentField = '';
-            let inQuotes = false;
-            
-            for (let i = 0; i < line.length; i++) {
-                const char = line[i];
-                
-                if (char === '"') {
-                    if (inQuotes && i + 1 < line.length && line[i + 1] === '"') {
-                        // Handle escaped quotes
-                        currentField += '"';
-                        i++; // Skip next quote
-                    } else {
-                        inQuotes = !inQuotes;
-                    }
-                } else if (char === ',' && !inQuotes) {
-                    row.push(currentField.trim());
-                    currentField = '';
-                } else {
-                    currentField += char;
-                }
+        if (records.length === 0) return [];
+        
+        const headers = records[0].fields.map(header => header.trim());
+        const dataRecords = records.slice(1);
+        const objects = [];
+        
+        for (const record of dataRecords) {
+            const { fields, line } = record;
+
+            if (fields.length !== headers.length) {
+                const error = new CSVParseError(
+                    `Row has ${fields.length} fields, expected ${headers.length}`,
+                    line,
+                    1
+                );
+
+                if (options.strict) throw error;
+                this.parseErrors.push(error);
+
+                if (fields.length > headers.length) continue;
             }
-            
-            // Add the last field and trim whitespace
-            row.push(currentField.trim());
-            
-            // Only add non-empty rows
-            if (row.some(cell => cell !== '')) {
-                rows.push(row);
+
+            const obj = this._toObject(headers, fields);
+            setRowNumber(obj, record.record);
+
+            // Filter out completely empty objects
+            if (Object.values(obj).some(value => value !== '')) {
+                objects.push(obj);
             }
         }
         
-        return rows;
+        return objects;
     }
 
     /**
-     * Parse CSV text into array of objects with headers as keys
-     * @param {string} csvText - CSV content as string
+     * Convert rows (first row is the header) into objects, normalizing
+     * headers and values the same way as parseCSVAsObjects.
+     * Rows are assumed to start at the top of the sheet when numbering them
+     * @param {Array} rows - Array of rows
      * @returns {Array} Array of objects
      */
-    parseCSVAsObjects(csvText) {
-        const rows = this.parseCSV(csvText);
-        
+    rowsToObjects(rows) {
         if (rows.length === 0) return [];
-        
-        const headers = rows[0].map(header => header.trim());
-        const dataRows = rows.slice(1);
-        
-        return dataRows.map(row => {
-            const obj = {};
-            headers.forEach((header, index) => {
-                // Ensure we don't have undefined values and trim whitespace
-                const value = row[index] || '';
-                obj[header.toLowerCase()] = value.trim();
-            });
-            return obj;
-        }).filter(obj => {
-            // Filter out completely empty objects
-            return Object.values(obj).some(value => value !== '');
+
+        const headers = rows[0].map(header => String(header).trim());
+
+        return rows.slice(1)
+            .map((row, index) => setRowNumber(this._toObject(headers, row), index + 2))
+            .filter(obj => Object.values(obj).some(value => value !== ''));
+    }
+
+    /**
+     * Normalize already keyed records (e.g. from JSON) the same way as parseCSVAsObjects
+     * @param {Array} records - Array of plain objects
+     * @returns {Array} Array of objects with lower-cased keys and trimmed string values
+     */
+    normalizeObjects(records) {
+        return records
+            .map((record, index) => {
+                const headers = Object.keys(record).map(header => header.trim());
+                return setRowNumber(this._toObject(headers, Object.values(record)), index + 2);
+            })
+            .filter(obj => Object.values(obj).some(value => value !== ''));
+    }
+
+    _toObject(headers, fields) {
+        const obj = {};
+        headers.forEach((header, index) => {
+            // Ensure we don't have undefined values and trim whitespace
+            const value = fields[index] == null ? '' : String(fields[index]);
+            obj[header.toLowerCase()] = value.trim();
         });
+        return obj;
+    }
+
+    /**
+     * Run the streaming parser over a complete CSV string
+     * @param {string} csvText - CSV content as string
+     * @param {Object} options - Parser options (see parseCSV)
+     * @returns {Array} Array of non-empty records ({ fields, line, record })
+     */
+    _parseRecords(csvText, options = {}) {
+        const parser = new CSVParser(options);
+        const records = parser.write(csvText).concat(parser.end());
+
+        this.parseErrors = parser.errors;
+
+        return records
+            .map(record => ({ ...record, fields: record.fields.map(field => field.trim()) }))
+            .filter(record => record.fields.some(cell => cell !== ''));
     }
 
     /**
      * Read data from a Google Spreadsheet (uses public method if no API key)
      * @param {string} spreadsheetId - The ID of the Google Spreadsheet
-     * @param {string} range - The range to read (ignored for public method)
+     * @param {string} range - The A1 range to read; without an API key the sheet may also be given by gid
      * @returns {Promise<Array>} Array of rows with cell values
      */
     async readSpreadsheet(spreadsheetId, range = 'Sheet1!A:Z') {
         if (!this.apiKey) {
-            // Extract sheet name from range if provided
-            const sheetMatch = range.match(/^([^!]+)!/);
-            const sheetName = sheetMatch ? sheetMatch[1] : '0';
-            return this.readPublicSpreadsheet(spreadsheetId, sheetName);
+            return this.readPublicSpreadsheet(spreadsheetId, range);
         }
         
         try {
@@ -205,16 +306,20 @@ class GoogleSheetsReader {
 
     /**
      * Read multiple sheets from a spreadsheet
+     * Without an API key the sheets are read through the public CSV export.
      * @param {string} spreadsheetId - The ID of the Google Spreadsheet
-     * @param {Array<string>} sheetNames - Array of sheet names to read
+     * @param {Array<string>} sheetNames - Array of sheet names or A1 ranges (or gids, without an API key) to read
+     * @param {Object} options - { asObjects } to convert each sheet's rows to objects
      * @returns {Promise<Object>} Object with sheet names as keys
      */
-    async readMultipleSheets(spreadsheetId, sheetNames) {
+    async readMultipleSheets(spreadsheetId, sheetNames, { asObjects = false } = {}) {
         const results = {};
         
         for (const sheetName of sheetNames) {
             try {
-                results[sheetName] = await this.readSpreadsheet(spreadsheetId, `${sheetName}!A:Z`);
+                const range = parseA1Range(sheetName).cells ? sheetName : `${sheetName}!A:Z`;
+                const rows = await this.readSpreadsheet(spreadsheetId, range);
+                results[sheetName] = asObjects ? this.rowsToObjects(rows) : rows;
             } catch (error) {
                 console.error(`Error reading sheet ${sheetName}:`, error);
                 results[sheetName] = [];
@@ -225,6 +330,323 @@ class GoogleSheetsReader {
     }
 }
 
+/**
+ * Error raised for malformed CSV input
+ */
+class CSVParseError extends Error {
+    constructor(message, line, column) {
+        super(`${message} at line ${line}, column ${column}`);
+        this.name = 'CSVParseError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+/**
+ * Streaming RFC 4180 CSV parser.
+ * Handles quoted fields spanning several lines, CRLF/CR/LF line endings,
+ * a leading UTF-8 BOM and custom delimiters. Text may be fed in arbitrary
+ * chunks via write(); call end() once the input is exhausted.
+ */
+class CSVParser {
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.strict = Boolean(options.strict);
+        this.errors = [];
+
+        this._fields = [];
+        this._field = '';
+        this._state = CSVParser.FIELD_START;
+        this._line = 1;
+        this._column = 0;
+        this._record = 1;
+        this._recordLine = 1;
+        this._quoteLine = 1;
+        this._quoteColumn = 1;
+        this._skipLF = false;
+        this._started = false;
+    }
+
+    /**
+     * Feed a chunk of text to the parser
+     * @param {string} chunk - Next piece of CSV text
+     * @returns {Array} Records completed by this chunk ({ fields, line, record })
+     */
+    write(chunk) {
+        const records = [];
+        let i = 0;
+
+        if (!this._started && chunk.length > 0) {
+            this._started = true;
+            if (chunk.charCodeAt(0) === 0xFEFF) i = 1;
+        }
+
+        for (; i < chunk.length; i++) {
+            const char = chunk[i];
+
+            // Second half of a CRLF pair that was already handled as a line break
+            if (this._skipLF) {
+                this._skipLF = false;
+                if (char === '\n') continue;
+            }
+
+            if (char === '\r' || char === '\n') {
+                this._skipLF = char === '\r';
+                this._line++;
+                this._column = 0;
+
+                if (this._state === CSVParser.QUOTED) {
+                    this._field += '\n';
+                } else {
+                    records.push(this._endRecord());
+                }
+                continue;
+            }
+
+            this._column++;
+
+            switch (this._state) {
+                case CSVParser.FIELD_START:
+                    if (char === '"') {
+                        this._state = CSVParser.QUOTED;
+                        this._quoteLine = this._line;
+                        this._quoteColumn = this._column;
+                    } else if (char === this.delimiter) {
+                        this._endField();
+                    } else {
+                        this._field += char;
+                        this._state = CSVParser.UNQUOTED;
+                    }
+                    break;
+
+                case CSVParser.UNQUOTED:
+                    if (char === this.delimiter) {
+                        this._endField();
+                    } else {
+                        if (char === '"') this._error('Unexpected quote in unquoted field');
+                        this._field += char;
+                    }
+                    break;
+
+                case CSVParser.QUOTED:
+                    if (char === '"') {
+                        this._state = CSVParser.QUOTE_IN_QUOTED;
+                    } else {
+                        this._field += char;
+                    }
+                    break;
+
+                case CSVParser.QUOTE_IN_QUOTED:
+                    if (char === '"') {
+                        // Escaped quote
+                        this._field += '"';
+                        this._state = CSVParser.QUOTED;
+                    } else if (char === this.delimiter) {
+                        this._endField();
+                    } else {
+                        this._error('Unexpected character after closing quote');
+                        this._field += char;
+                        this._state = CSVParser.UNQUOTED;
+                    }
+                    break;
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Flush the last record once all input has been written
+     * @returns {Array} Remaining record, if any
+     */
+    end() {
+        if (this._state === CSVParser.QUOTED) {
+            this._error('Unterminated quoted field', this._quoteLine, this._quoteColumn);
+        }
+
+        if (this._state === CSVParser.FIELD_START && this._fields.length === 0) {
+            return [];
+        }
+
+        return [this._endRecord()];
+    }
+
+    _endField() {
+        this._fields.push(this._field);
+        this._field = '';
+        this._state = CSVParser.FIELD_START;
+    }
+
+    _endRecord() {
+        this._endField();
+
+        const record = { fields: this._fields, line: this._recordLine, record: this._record };
+
+        this._fields = [];
+        this._record++;
+        this._recordLine = this._line;
+
+        return record;
+    }
+
+    _error(message, line = this._line, column = this._column) {
+        const error = new CSVParseError(message, line, column);
+
+        if (this.strict) throw error;
+        this.errors.push(error);
+    }
+}
+
+CSVParser.FIELD_START = 0;
+CSVParser.UNQUOTED = 1;
+CSVParser.QUOTED = 2;
+CSVParser.QUOTE_IN_QUOTED = 3;
+
+/**
+ * Persists the last successfully loaded dataset per spreadsheet/sheet.
+ * Uses localStorage when available and falls back to memory otherwise.
+ */
+class SheetsCache {
+    constructor(storage = SheetsCache.defaultStorage(), prefix = 'sheets-cache') {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    static defaultStorage() {
+        try {
+            if (typeof localStorage !== 'undefined') return localStorage;
+        } catch (error) {
+            // Access to localStorage can throw (e.g. disabled cookies)
+        }
+
+        const memory = new Map();
+        return {
+            getItem: key => memory.has(key) ? memory.get(key) : null,
+            setItem: (key, value) => memory.set(key, String(value)),
+            removeItem: key => memory.delete(key)
+        };
+    }
+
+    /**
+     * Build the cache key for a spreadsheet sheet
+     * @param {string} spreadsheetId - The ID of the Google Spreadsheet
+     * @param {string} sheetName - The name or gid of the sheet
+     * @param {boolean} asObjects - Whether the cached data are objects or rows
+     * @returns {string} Cache key
+     */
+    static key(spreadsheetId, sheetName, asObjects = true) {
+        return `${spreadsheetId}:${sheetName}:${asObjects ? 'objects' : 'rows'}`;
+    }
+
+    /**
+     * Get a cached entry
+     * @param {string} key - Cache key
+     * @returns {Object|null} { data, timestamp } or null when nothing is cached
+     */
+    get(key) {
+        try {
+            const raw = this.storage.getItem(`${this.prefix}:${key}`);
+            if (!raw) return null;
+
+            const entry = JSON.parse(raw);
+            if (!Array.isArray(entry.data)) return null;
+
+            // Row numbers are not enumerable, so they are stored next to the data
+            const rowNumbers = entry.rowNumbers || [];
+            entry.data.forEach((record, index) => setRowNumber(record, rowNumbers[index]));
+            delete entry.rowNumbers;
+
+            return entry;
+        } catch (error) {
+            console.warn('Ignoring unreadable cache entry:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store data under a key, stamped with the current time
+     * @param {string} key - Cache key
+     * @param {Array} data - Data to persist
+     * @returns {Object} The stored { data, timestamp } entry
+     */
+    set(key, data) {
+        const entry = { data, timestamp: Date.now() };
+
+        try {
+            const rowNumbers = data.map(getRowNumber);
+            this.storage.setItem(`${this.prefix}:${key}`, JSON.stringify({ ...entry, rowNumbers }));
+        } catch (error) {
+            // Quota exceeded or storage unavailable; keep working without the cache
+            console.warn('Failed to persist sheet data to cache:', error);
+        }
+
+        return entry;
+    }
+}
+
+/**
+ * Split an A1 range into its sheet and its cells
+ * @param {string} range - e.g. "Teams!A1:F50", "'Team list'!A:F", "Teams" or a gid such as "123456"
+ * @returns {Object} { sheet, cells } where cells is null when the whole sheet is meant
+ */
+function parseA1Range(range) {
+    const text = String(range == null ? '' : range).trim();
+    const separator = text.lastIndexOf('!');
+    const sheet = (separator === -1 ? text : text.slice(0, separator)).trim();
+    const cells = separator === -1 ? '' : text.slice(separator + 1).trim();
+
+    return {
+        sheet: sheet.replace(/^'(.*)'$/, '$1').replace(/''/g, "'") || '0',
+        cells: cells || null
+    };
+}
+
+/**
+ * Attach the sheet row number (1-based, header is row 1) to a parsed record.
+ * The property is not enumerable so it never shows up as a data column.
+ * @param {Object} record - Parsed record
+ * @param {number} rowNumber - Row number in the source sheet
+ * @returns {Object} The same record
+ */
+function setRowNumber(record, rowNumber) {
+    if (record && rowNumber != null) {
+        Object.defineProperty(record, '__rowNumber', { value: rowNumber, configurable: true });
+    }
+    return record;
+}
+
+/**
+ * Get the sheet row number of a parsed record
+ * @param {Object} record - Parsed record
+ * @returns {number|undefined} Row number, if known
+ */
+function getRowNumber(record) {
+    return record ? record.__rowNumber : undefined;
+}
+
+/**
+ * Run an async task, retrying failures with exponential backoff
+ * @param {Function} task - Async function to run; receives the attempt number
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Number of retries after the first attempt (default: 4)
+ * @param {number} options.baseDelay - Delay before the first retry in ms (default: 1000)
+ * @param {number} options.maxDelay - Upper bound for a single delay in ms (default: 16000)
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+async function retryWithBackoff(task, { retries = 4, baseDelay = 1000, maxDelay = 16000 } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task(attempt);
+        } catch (error) {
+            if (attempt >= retries) throw error;
+
+            const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+            console.warn(`Attempt ${attempt + 1} failed, retrying in ${delay}ms:`, error);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
 /**
  * Simple function to read Google Spreadsheet (requires API key)
  * @param {string} spreadsheetId - The spreadsheet ID from the URL
@@ -240,7 +662,7 @@ async function readGoogleSheet(spreadsheetId, apiKey, range = 'Sheet1!A:Z') {
 /**
  * Simple function to read public Google Spreadsheet (no API key required)
  * @param {string} spreadsheetId - The spreadsheet ID from the URL
- * @param {string} sheetName - Sheet name or gid (optional, defaults to first sheet)
+ * @param {string} sheetName - Sheet name, gid or A1 range (optional, defaults to first sheet)
  * @param {boolean} asObjects - Whether to return objects with header keys (default: true)
  * @returns {Promise<Array>} Array of objects or rows
  */
@@ -251,5 +673,16 @@ async function readPublicGoogleSheet(spreadsheetId, sheetName = '0', asObjects =
 
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { GoogleSheetsReader, readGoogleSheet, readPublicGoogleSheet };
+    module.exports = {
+        GoogleSheetsReader,
+        CSVParser,
+        CSVParseError,
+        SheetsCache,
+        retryWithBackoff,
+        parseA1Range,
+        setRowNumber,
+        getRowNumber,
+        readGoogleSheet,
+        readPublicGoogleSheet
+    };
 }
@@ -0,0 +1,151 @@
+class SnapshotCompare {
+  constructor(containerId, onChange) {
+    this.containerId = containerId;
+    this.onChange = typeof onChange === 'function' ? onChange : () => {};
+    this.snapshots = [];
+    this.from = '';
+    this.to = '';
+    this.error = '';
+    this.open = false;
+    this._render();
+  }
+
+  // Add snapshots, replacing those with the same label
+  setSnapshots(snapshots) {
+    snapshots.forEach(snapshot => {
+      const index = this.snapshots.findIndex(s => s.label === snapshot.label);
+      if (index === -1) {
+        this.snapshots.push(snapshot);
+      } else {
+        this.snapshots[index] = snapshot;
+      }
+    });
+
+    this._render();
+
+    return this;
+  }
+
+  // Snapshots being compared; `to` is null when comparing with the current data
+  getComparison() {
+    return {
+      from: this.snapshots.find(s => s.label === this.from) || null,
+      to: this.snapshots.find(s => s.label === this.to) || null
+    };
+  }
+
+  _select(from, to) {
+    this.from = from;
+    this.to = to;
+    this._render();
+    this.onChange(this.getComparison());
+  }
+
+  _loadFiles(files) {
+    this.error = '';
+
+    loadFileSnapshots(files)
+      .then(snapshots => {
+        this.setSnapshots(snapshots);
+
+        // Start comparing the newest added snapshot with the current data
+        if (!this.from && snapshots.length > 0) this._select(snapshots[snapshots.length - 1].label, '');
+      })
+      .catch(error => {
+        console.error('Failed to read snapshot files:', error);
+        this.error = 'Could not read the snapshot files.';
+        this._render();
+      });
+  }
+
+  _render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    container.innerHTML = '';
+
+    const details = document.createElement('details');
+    details.open = this.open;
+    details.style.maxWidth = '260px';
+    details.style.margin = '0 16px 12px';
+    details.style.fontSize = '0.9rem';
+    details.style.color = 'var(--folio-muted)';
+    details.addEventListener('toggle', () => { this.open = details.open; });
+
+    const summary = document.createElement('summary');
+    summary.textContent = this.from ? `Comparing with ${this.from}` : 'Compare snapshots';
+    summary.style.cursor = 'pointer';
+    details.appendChild(summary);
+
+    const body = document.createElement('div');
+    body.style.display = 'flex';
+    body.style.flexDirection = 'column';
+    body.style.gap = '8px';
+    body.style.marginTop = '8px';
+
+    const fromSelect = this._createSelect('From', '', 'None', this.from, body);
+    const toSelect = this._createSelect('To', '', 'Current data', this.to, body);
+    fromSelect.addEventListener('change', () => this._select(fromSelect.value, toSelect.value));
+    toSelect.addEventListener('change', () => this._select(fromSelect.value, toSelect.value));
+
+    // Dated snapshot files
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.multiple = true;
+    fileInput.accept = '.csv,.tsv,.tab,.json,text/csv,application/json';
+    fileInput.setAttribute('aria-label', 'Snapshot files');
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) this._loadFiles(fileInput.files);
+    });
+    body.appendChild(fileInput);
+
+    const hint = document.createElement('div');
+    hint.textContent = 'Add dated files such as modules-2024-03-31.csv, or list sheet tabs in ?snapshots=';
+    hint.style.fontSize = '0.8rem';
+    hint.style.color = 'var(--folio-subtle)';
+    body.appendChild(hint);
+
+    if (this.error) {
+      const error = document.createElement('div');
+      error.textContent = this.error;
+      error.style.fontSize = '0.8rem';
+      error.style.color = 'var(--folio-error)';
+      body.appendChild(error);
+    }
+
+    details.appendChild(body);
+    container.appendChild(details);
+  }
+
+  _createSelect(labelText, emptyValue, emptyLabel, value, parent) {
+    const label = document.createElement('label');
+    label.style.display = 'flex';
+    label.style.justifyContent = 'space-between';
+    label.style.alignItems = 'center';
+    label.style.gap = '8px';
+    label.textContent = labelText;
+
+    const select = document.createElement('select');
+    select.style.flex = '1';
+    select.style.minWidth = '0';
+
+    const empty = document.createElement('option');
+    empty.value = emptyValue;
+    empty.textContent = emptyLabel;
+    select.appendChild(empty);
+
+    this.snapshots.forEach(snapshot => {
+      const option = document.createElement('option');
+      option.value = snapshot.label;
+      option.textContent = snapshot.label;
+      select.appendChild(option);
+    });
+
+    select.value = value;
+    select.disabled = this.snapshots.length === 0;
+
+    label.appendChild(select);
+    parent.appendChild(label);
+
+    return select;
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Snapshots of the module sheet and the ownership changes between them
+ * A snapshot is { label, data } where data is an array of row objects keyed by
+ * lower-cased headers, as the data sources produce them. Snapshots are read from
+ * several tabs of one spreadsheet or from dated files such as modules-2024-03-31.csv.
+ */
+
+/**
+ * Kinds of change between two snapshots, in display order
+ */
+const CHANGE_TYPES = [
+    { key: 'added', label: 'Added', color: '#2E7D32' },
+    { key: 'removed', label: 'Removed', color: '#C62828' },
+    { key: 'reassigned', label: 'Reassigned', color: '#EF6C00' }
+];
+
+/**
+ * Columns whose change makes a module count as reassigned
+ */
+const REASSIGNMENT_FIELDS = ['team', 'application'];
+
+/**
+ * Look up a change type by key
+ * @param {string} key - 'added', 'removed' or 'reassigned'
+ * @returns {Object|undefined} { key, label, color }
+ */
+function getChangeType(key) {
+    return CHANGE_TYPES.find(type => type.key === key);
+}
+
+/**
+ * Extract the date from a snapshot file name
+ * @param {string} name - File name, e.g. "modules-2024-03-31.csv" or "modules_20240331.csv"
+ * @returns {string|null} ISO date (YYYY-MM-DD), or null when the name has no date
+ */
+function snapshotDate(name) {
+    const match = String(name).match(/(\d{4})[-_.]?(\d{2})[-_.]?(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Read several tabs of a spreadsheet as snapshots
+ * Tabs that fail to load or are empty are skipped, so they are not mistaken
+ * for a snapshot in which every module was removed.
+ * @param {GoogleSheetsReader} reader - Reader used for the tabs
+ * @param {string} spreadsheetId - The ID of the Google Spreadsheet
+ * @param {Array<string>} sheetNames - Tab names, gids or A1 ranges, oldest first
+ * @returns {Promise<Array>} Array of { label, data }
+ */
+async function loadSheetSnapshots(reader, spreadsheetId, sheetNames) {
+    const sheets = await reader.readMultipleSheets(spreadsheetId, sheetNames, { asObjects: true });
+
+    return sheetNames
+        .filter(name => {
+            if (sheets[name].length > 0) return true;
+            console.warn(`Snapshot tab ${name} is empty or could not be read`);
+            return false;
+        })
+        .map(name => ({ label: name, data: sheets[name] }));
+}
+
+/**
+ * Read local files as snapshots, labelled and ordered by the date in their names
+ * @param {FileList|Array<File>} files - CSV, TSV or JSON files
+ * @param {GoogleSheetsReader} reader - Reader used for parsing
+ * @returns {Promise<Array>} Array of { label, data }, oldest first
+ */
+async function loadFileSnapshots(files, reader = new GoogleSheetsReader()) {
+    const snapshots = await Promise.all(Array.from(files).map(async file => {
+        const { data } = await new FileSource(file, reader).load();
+        return { label: snapshotDate(file.name) || file.name.replace(/\.[^.]+$/, ''), data };
+    }));
+
+    return snapshots.sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Compare two snapshots module by module
+ * Modules are matched by name; when a name appears on several rows the first row counts.
+ * @param {Array} before - Rows of the older snapshot
+ * @param {Array} after - Rows of the newer snapshot
+ * @returns {Array} Changes { type, module, before, after, fields } ordered by type and module name;
+ *   before/after are the rows on either side (null for added/removed modules) and fields lists
+ *   the REASSIGNMENT_FIELDS that changed
+ */
+function diffSnapshots(before, after) {
+    const beforeByModule = indexByModule(before);
+    const afterByModule = indexByModule(after);
+    const changes = [];
+
+    afterByModule.forEach((row, module) => {
+        const previous = beforeByModule.get(module);
+
+        if (!previous) {
+            changes.push({ type: 'added', module, before: null, after: row, fields: [] });
+            return;
+        }
+
+        const fields = REASSIGNMENT_FIELDS.filter(field => normalizeMembers(previous[field]) !== normalizeMembers(row[field]));
+        if (fields.length > 0) {
+            changes.push({ type: 'reassigned', module, before: previous, after: row, fields });
+        }
+    });
+
+    beforeByModule.forEach((row, module) => {
+        if (!afterByModule.has(module)) {
+            changes.push({ type: 'removed', module, before: row, after: null, fields: [] });
+        }
+    });
+
+    const order = CHANGE_TYPES.map(type => type.key);
+    return changes.sort((a, b) =>
+        order.indexOf(a.type) - order.indexOf(b.type) || a.module.localeCompare(b.module));
+}
+
+function indexByModule(rows) {
+    const byModule = new Map();
+
+    rows.forEach(row => {
+        const module = normalizeValue(row.module);
+        if (module && !byModule.has(module)) byModule.set(module, row);
+    });
+
+    return byModule;
+}
+
+/**
+ * Cells listing several teams or applications compare equal regardless of their order
+ */
+function normalizeMembers(value) {
+    return splitMembership(value).sort().join(MEMBERSHIP_SEPARATOR);
+}
+
+function normalizeValue(value) {
+    return String(value === undefined || value === null ? '' : value).trim();
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CHANGE_TYPES,
+        REASSIGNMENT_FIELDS,
+        getChangeType,
+        snapshotDate,
+        loadSheetSnapshots,
+        loadFileSnapshots,
+        diffSnapshots
+    };
+}
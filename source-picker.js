@@ -0,0 +1,119 @@
+class SourcePicker {
+  constructor(containerId, onSelect, defaults = {}, { updateUrl = true } = {}) {
+    this.containerId = containerId;
+    this.onSelect = typeof onSelect === 'function' ? onSelect : () => {};
+    this.defaults = defaults;
+    this.updateUrl = updateUrl;
+    this._render();
+    this._listenForDrops();
+  }
+
+  _render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    container.innerHTML = '';
+
+    const details = document.createElement('details');
+    details.style.maxWidth = '260px';
+    details.style.margin = '0 16px 12px';
+    details.style.fontSize = '0.9rem';
+    details.style.color = 'var(--folio-muted)';
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Data source';
+    summary.style.cursor = 'pointer';
+    details.appendChild(summary);
+
+    const body = document.createElement('div');
+    body.style.display = 'flex';
+    body.style.flexDirection = 'column';
+    body.style.gap = '8px';
+    body.style.marginTop = '8px';
+
+    // Default Google Sheet
+    const sheetBtn = document.createElement('button');
+    sheetBtn.type = 'button';
+    sheetBtn.textContent = 'Default Google Sheet';
+    sheetBtn.addEventListener('click', () => {
+      this._updateUrl({});
+      this.onSelect(createDataSourceFromParams(new URLSearchParams(), this.defaults));
+    });
+    body.appendChild(sheetBtn);
+
+    // CSV/JSON URL
+    const urlForm = document.createElement('form');
+    urlForm.style.display = 'flex';
+    urlForm.style.gap = '4px';
+    const urlInput = document.createElement('input');
+    urlInput.type = 'url';
+    urlInput.placeholder = 'CSV / JSON URL';
+    urlInput.setAttribute('aria-label', 'CSV or JSON URL');
+    urlInput.style.flex = '1';
+    urlInput.style.minWidth = '0';
+    const urlBtn = document.createElement('button');
+    urlBtn.type = 'submit';
+    urlBtn.textContent = 'Load';
+    urlForm.appendChild(urlInput);
+    urlForm.appendChild(urlBtn);
+    urlForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (!urlInput.value) return;
+      this._updateUrl({ source: 'url', url: urlInput.value });
+      this.onSelect(new UrlSource({ url: urlInput.value }));
+    });
+    body.appendChild(urlForm);
+
+    // Local file
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.csv,.tsv,.tab,.json,text/csv,application/json';
+    fileInput.setAttribute('aria-label', 'Local CSV or JSON file');
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) this._selectFile(fileInput.files[0]);
+    });
+    body.appendChild(fileInput);
+
+    const hint = document.createElement('div');
+    hint.textContent = 'or drop a CSV/JSON file anywhere on the page';
+    hint.style.fontSize = '0.8rem';
+    hint.style.color = 'var(--folio-subtle)';
+    body.appendChild(hint);
+
+    details.appendChild(body);
+    container.appendChild(details);
+    this.details = details;
+  }
+
+  open() {
+    if (this.details) this.details.open = true;
+  }
+
+  _selectFile(file) {
+    this._updateUrl({ source: 'file' });
+    this.onSelect(new FileSource(file));
+  }
+
+  _listenForDrops() {
+    document.addEventListener('dragover', (e) => {
+      if (e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files')) {
+        e.preventDefault();
+      }
+    });
+    document.addEventListener('drop', (e) => {
+      if (!e.dataTransfer || e.dataTransfer.files.length === 0) return;
+      e.preventDefault();
+      this._selectFile(e.dataTransfer.files[0]);
+    });
+  }
+
+  // Dashboards embedded in other pages leave the page URL alone
+  _updateUrl(params) {
+    if (!this.updateUrl) return;
+
+    const url = new URL(window.location.href);
+    ['source', 'url', 'id', 'gid', 'sheet', 'key', 'range', 'join', 'data', 'format', 'delimiter']
+      .forEach(key => url.searchParams.delete(key));
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    window.history.replaceState(null, '', url);
+  }
+}
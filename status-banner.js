@@ -0,0 +1,69 @@
+class StatusBanner {
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.timestamp = null;
+  }
+
+  showLoading() {
+    this._render('Loading data…', 'info');
+  }
+
+  showDataAge(timestamp, { refreshing = false, failed = false } = {}) {
+    this.timestamp = timestamp;
+
+    let message = `Data as of ${new Date(timestamp).toLocaleString()}`;
+    if (refreshing) message += ' · refreshing…';
+    if (failed) message += ' · refresh failed, showing cached data';
+
+    this._render(message, failed ? 'warning' : 'info');
+  }
+
+  showRefreshFailed() {
+    if (this.timestamp) {
+      this.showDataAge(this.timestamp, { failed: true });
+    } else {
+      this.showError('Could not load data.');
+    }
+  }
+
+  showError(message, onRetry) {
+    this._render(message, 'error', onRetry);
+  }
+
+  hide() {
+    const container = document.getElementById(this.containerId);
+    if (container) container.innerHTML = '';
+  }
+
+  _render(message, level, onRetry) {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    container.innerHTML = '';
+
+    const colors = {
+      info: { background: 'var(--folio-info-bg)', color: 'var(--folio-accent)' },
+      warning: { background: 'var(--folio-warning-bg)', color: 'var(--folio-warning)' },
+      error: { background: 'var(--folio-error-bg)', color: 'var(--folio-error)' }
+    };
+
+    const banner = document.createElement('div');
+    banner.setAttribute('role', 'status');
+    banner.style.padding = '6px 16px';
+    banner.style.fontSize = '0.9rem';
+    banner.style.textAlign = 'center';
+    banner.style.background = colors[level].background;
+    banner.style.color = colors[level].color;
+    banner.textContent = message;
+
+    if (typeof onRetry === 'function') {
+      const retryBtn = document.createElement('button');
+      retryBtn.type = 'button';
+      retryBtn.textContent = 'Retry';
+      retryBtn.style.marginLeft = '12px';
+      retryBtn.addEventListener('click', onRetry);
+      banner.appendChild(retryBtn);
+    }
+
+    container.appendChild(banner);
+  }
+}
@@ -0,0 +1,203 @@
+class SunburstChart extends HierarchyChart {
+  // Flash the module's arc
+  _highlight(leaf) {
+    this._nodes
+      .filter(d => d === leaf)
+      .attr("stroke", themeColor("text"))
+      .transition("pulse")
+        .delay(750)
+        .duration(400)
+        .attr("stroke-width", 4)
+      .transition()
+        .duration(400)
+        .attr("stroke-width", 0)
+      .transition()
+        .duration(400)
+        .attr("stroke-width", 4)
+      .transition()
+        .duration(400)
+        .attr("stroke-width", 0)
+        .on("end", () => this._applyChanges());
+  }
+
+  // Arcs outside the visible rings stay transparent
+  _applyHidden() {
+    if (this._nodes) this._nodes.attr("fill-opacity", d => this._arcOpacity(d, d.current));
+  }
+
+  _arcOpacity(d, position) {
+    if (!SunburstChart.arcVisible(position)) return 0;
+    if (d.children) return 0.7;
+    const opacity = this._fillOpacity(d);
+    return opacity === null ? 1 : opacity;
+  }
+
+  // Only the three rings below the focus are drawn
+  _isVisible(d) {
+    const focus = this.focusNode || this.root;
+    return super._isVisible(d) && d.depth - focus.depth <= 3;
+  }
+
+  // Three rings around the center are visible at a time
+  static arcVisible(d) {
+    return d.y1 <= 4 && d.y0 >= 1 && d.x1 > d.x0;
+  }
+
+  static labelVisible(d) {
+    return d.y1 <= 4 && d.y0 >= 1 && (d.y1 - d.y0) * (d.x1 - d.x0) > 0.06;
+  }
+
+  render() {
+    const _self = this;
+
+    if (!this.data) throw Error('data is not defined');
+
+    const width = this.width;
+    const height = this.height;
+    const radius = Math.min(width, height) / 8;
+
+    // Compute the layout; angles in x, ring index in y.
+    const hierarchy = this._hierarchy();
+    const root = d3.partition()
+      .size([2 * Math.PI, hierarchy.height + 1])
+      (hierarchy);
+    root.each(d => d.current = d);
+
+    this.colorEncoding = createColorEncoding(this.colorBy, root.leaves().map(d => d.data.row).filter(Boolean));
+
+    const arc = d3.arc()
+      .startAngle(d => d.x0)
+      .endAngle(d => d.x1)
+      .padAngle(d => Math.min((d.x1 - d.x0) / 2, 0.005))
+      .padRadius(radius * 1.5)
+      .innerRadius(d => d.y0 * radius)
+      .outerRadius(d => Math.max(d.y0 * radius, d.y1 * radius - 1));
+
+    const svg = d3.create("svg")
+      .attr("viewBox", [-width / 2, -height / 2, width, height])
+      .attr("width", width)
+      .attr("height", height)
+      .attr("style", "max-width: 100%; display: block; margin: 0 auto; font: 11px 'Segoe UI', 'Roboto', 'Arial', sans-serif;");
+
+    // Append the arcs.
+    const path = svg.append("g")
+      .selectAll("path")
+      .data(root.descendants().slice(1))
+      .join("path")
+      .attr("fill", d => d.children ? this._groupColor(d.depth + 1) : this._leafColor(d))
+      .attr("fill-opacity", d => this._arcOpacity(d, d.current))
+      .attr("stroke-opacity", d => +SunburstChart.arcVisible(d.current))
+      .attr("pointer-events", d => SunburstChart.arcVisible(d.current) ? "auto" : "none")
+      .attr("d", d => arc(d.current))
+      .style("cursor", "pointer")
+      .on("mouseover", function(event, d) {
+        d3.select(this).attr("stroke", themeColor("hover"));
+        _self._showTooltip(event, d);
+      })
+      .on("mousemove", (event) => this.tooltip.move(event))
+      .on("mouseout", function(event, d) {
+        d3.select(this).attr("stroke", _self._changeStroke(d));
+        _self.tooltip.hide();
+      })
+      .on("click", (event, d) => {
+        if (d.children) {
+          zoom(d, 750);
+        } else if (d.data.row) {
+          this.onModuleClick(d.data.row);
+        }
+      });
+
+    // Append the arc labels.
+    const label = svg.append("g")
+      .attr("pointer-events", "none")
+      .attr("text-anchor", "middle")
+      .style("user-select", "none")
+      .selectAll("text")
+      .data(root.descendants().slice(1))
+      .join("text")
+      .attr("dy", "0.35em")
+      .style("fill", themeColor("text"))
+      .attr("fill-opacity", d => +SunburstChart.labelVisible(d.current))
+      .attr("transform", d => labelTransform(d.current))
+      .text(d => {
+        const name = this._nodeLabel(d);
+        const chars = Math.floor(radius / 6.5);
+        return name.length > chars ? name.slice(0, chars - 1) + "…" : name;
+      });
+
+    // The center zooms back out to the parent of the focused node.
+    const center = svg.append("circle")
+      .datum(root)
+      .attr("r", radius)
+      .attr("fill", "none")
+      .attr("pointer-events", "all")
+      .style("cursor", "pointer")
+      .on("click", (event, d) => d !== focus && zoom(d, 750));
+
+    const centerLabel = svg.append("text")
+      .attr("pointer-events", "none")
+      .attr("text-anchor", "middle")
+      .attr("dy", "0.35em")
+      .style("font-size", "13px")
+      .style("font-weight", "bold")
+      .style("fill", themeColor("heading"))
+      .text(root.data.name);
+
+    let focus = root;
+
+    this.root = root;
+    this.focusNode = root;
+    this._zoom = zoom;
+    this._nodes = path;
+    this._enableKeyboard(svg);
+
+    function labelTransform(d) {
+      const angle = (d.x0 + d.x1) / 2 * 180 / Math.PI;
+      const distance = (d.y0 + d.y1) / 2 * radius;
+      return `rotate(${angle - 90}) translate(${distance},0) rotate(${angle < 180 ? 0 : 180})`;
+    }
+
+    function zoom(p, duration) {
+      focus = p;
+      _self._setFocus(focus);
+
+      center.datum(p.parent || root);
+      centerLabel.text(p.data.name);
+
+      root.each(d => d.target = {
+        x0: Math.max(0, Math.min(1, (d.x0 - p.x0) / (p.x1 - p.x0))) * 2 * Math.PI,
+        x1: Math.max(0, Math.min(1, (d.x1 - p.x0) / (p.x1 - p.x0))) * 2 * Math.PI,
+        y0: Math.max(0, d.y0 - p.depth),
+        y1: Math.max(0, d.y1 - p.depth)
+      });
+
+      const transition = svg.transition().duration(duration);
+
+      // Transition the data on all arcs, even the ones that aren't visible,
+      // so that if this transition is interrupted, entering arcs will start
+      // the next transition from the desired position.
+      path.transition(transition)
+        .tween("data", d => {
+          const i = d3.interpolate(d.current, d.target);
+          return t => d.current = i(t);
+        })
+        .filter(function(d) {
+          return +this.getAttribute("fill-opacity") || SunburstChart.arcVisible(d.target);
+        })
+        .attr("fill-opacity", d => _self._arcOpacity(d, d.target))
+        .attr("stroke-opacity", d => +SunburstChart.arcVisible(d.target))
+        .attr("pointer-events", d => SunburstChart.arcVisible(d.target) ? "auto" : "none")
+        .attrTween("d", d => () => arc(d.current));
+
+      label.filter(function(d) {
+        return +this.getAttribute("fill-opacity") || SunburstChart.labelVisible(d.target);
+      }).transition(transition)
+        .attr("fill-opacity", d => +SunburstChart.labelVisible(d.target))
+        .attrTween("transform", d => () => labelTransform(d.current));
+    }
+
+    this._applyChanges();
+
+    document.getElementById(this.container).appendChild(svg.node());
+  }
+}
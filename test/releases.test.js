@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { RELEASE_ORDER, getReleaseIndex, sortReleases, setReleaseOrder } = require('../releases.js');
+
+const FOLIO_RELEASES = [...RELEASE_ORDER];
+
+test.afterEach(() => setReleaseOrder(FOLIO_RELEASES));
+
+test('releases with a suffix match the release they start with', () => {
+  assert.strictEqual(getReleaseIndex('Orchid (R1 2023)'), RELEASE_ORDER.indexOf('Orchid'));
+  assert.strictEqual(getReleaseIndex('Orchidaceae'), -1);
+});
+
+test('2023.10 is not taken for 2023.1', () => {
+  setReleaseOrder(['2023.1', '2023.2', '2023.10']);
+
+  assert.strictEqual(getReleaseIndex('2023.10'), 2);
+  assert.strictEqual(getReleaseIndex('2023.1 (hotfix)'), 0);
+  assert.deepStrictEqual(sortReleases(['2023.10', '2023.2', '2023.1']), ['2023.1', '2023.2', '2023.10']);
+});
+
+test('the longest matching release wins', () => {
+  setReleaseOrder(['Lotus', 'Lotus CSP']);
+
+  assert.strictEqual(getReleaseIndex('Lotus CSP 3'), 1);
+  assert.strictEqual(getReleaseIndex('Lotus (R1 2022)'), 0);
+});
@@ -0,0 +1,58 @@
+// Theme select for the toolbar; the choice is remembered in the browser
+class ThemePicker {
+  constructor(containerId, { storageKey = 'folio-theme' } = {}) {
+    this.containerId = containerId;
+    this.storageKey = storageKey;
+
+    // A theme set by the page (e.g. ?theme=dark) wins over the remembered one
+    const saved = this._read();
+    if (saved && getTheme() === 'auto' && (saved === 'auto' || THEMES[saved])) setTheme(saved);
+
+    onThemeChange(() => this._render());
+    this._render();
+  }
+
+  _read() {
+    try {
+      return localStorage.getItem(this.storageKey);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _write(theme) {
+    try {
+      localStorage.setItem(this.storageKey, theme);
+    } catch (error) {
+      // Storage unavailable (e.g. disabled cookies); the choice lasts for this page only
+    }
+  }
+
+  _render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    container.innerHTML = '';
+
+    const label = document.createElement('label');
+    label.textContent = 'Theme ';
+    label.style.fontSize = '0.9rem';
+    label.style.color = 'var(--folio-muted)';
+
+    const select = document.createElement('select');
+    Object.entries(THEME_LABELS).forEach(([theme, text]) => {
+      const option = document.createElement('option');
+      option.value = theme;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+
+    select.value = getTheme();
+    select.addEventListener('change', (e) => {
+      this._write(e.target.value);
+      setTheme(e.target.value);
+    });
+
+    label.appendChild(select);
+    container.appendChild(label);
+  }
+}
@@ -0,0 +1,201 @@
+// Colors shared by all components, as CSS custom properties (--folio-<name>) in light, dark and
+// high-contrast variants. Without a chosen theme the page follows the system's
+// prefers-color-scheme and prefers-contrast settings.
+// HTML components style themselves with var(--folio-<name>); charts draw SVG with themeColor(name),
+// since d3 interpolates between concrete colors, and draw again when the theme changes.
+const THEMES = {
+  light: {
+    page: '#dcdfe0',
+    surface: '#fff',
+    'surface-hover': '#eef3f8',
+    text: '#263238',
+    heading: '#37474F',
+    muted: '#4a5a6a',
+    subtle: '#6c7a89',
+    disabled: '#a5a8a9',
+    border: '#c5c9cb',
+    'border-strong': '#a5a8a9',
+    divider: '#eceff1',
+    accent: '#476fa0',
+    'on-accent': '#fff',
+    badge: '#78909C',
+    'on-badge': '#fff',
+    shadow: 'rgba(0,0,0,0.12)',
+    'tooltip-bg': 'rgba(38, 50, 56, 0.92)',
+    'tooltip-text': '#fff',
+    'tooltip-label': '#B0BEC5',
+    'info-bg': '#eef3f8',
+    warning: '#8a5a00',
+    'warning-bg': '#fff4e0',
+    error: '#a12622',
+    'error-bg': '#fdecea',
+    'group-from': '#F5F7FA',
+    'group-to': '#90A4AE',
+    hover: '#000',
+    link: '#B0BEC5',
+    focus: '#1565C0',
+    'focus-bg': '#E3F2FD',
+    selection: '#E3EBF4',
+    highlight: '#FFE082',
+    upstream: '#1E88E5',
+    downstream: '#E53935'
+  },
+  dark: {
+    page: '#15191c',
+    surface: '#1f2529',
+    'surface-hover': '#2a3a4a',
+    text: '#e3e8eb',
+    heading: '#cfd8dc',
+    muted: '#b8c2c9',
+    subtle: '#8d9ba6',
+    disabled: '#5f6b73',
+    border: '#3a444b',
+    'border-strong': '#56626a',
+    divider: '#2c3439',
+    accent: '#8ab4e8',
+    'on-accent': '#10202f',
+    badge: '#546E7A',
+    'on-badge': '#fff',
+    shadow: 'rgba(0,0,0,0.5)',
+    'tooltip-bg': 'rgba(236, 239, 241, 0.95)',
+    'tooltip-text': '#263238',
+    'tooltip-label': '#546E7A',
+    'info-bg': '#1e2c3a',
+    warning: '#fdd663',
+    'warning-bg': '#3a2e10',
+    error: '#f28b82',
+    'error-bg': '#3b1d1c',
+    'group-from': '#263238',
+    'group-to': '#607D8B',
+    hover: '#fff',
+    link: '#546E7A',
+    focus: '#8ab4e8',
+    'focus-bg': '#1e3a5f',
+    selection: '#2a3a4a',
+    highlight: '#6b5300',
+    upstream: '#64B5F6',
+    downstream: '#EF5350'
+  },
+  contrast: {
+    page: '#000',
+    surface: '#000',
+    'surface-hover': '#333',
+    text: '#fff',
+    heading: '#fff',
+    muted: '#fff',
+    subtle: '#e0e0e0',
+    disabled: '#bdbdbd',
+    border: '#fff',
+    'border-strong': '#fff',
+    divider: '#9e9e9e',
+    accent: '#ffeb3b',
+    'on-accent': '#000',
+    badge: '#fff',
+    'on-badge': '#000',
+    shadow: 'rgba(255,255,255,0.4)',
+    'tooltip-bg': '#fff',
+    'tooltip-text': '#000',
+    'tooltip-label': '#000',
+    'info-bg': '#000',
+    warning: '#ffd54f',
+    'warning-bg': '#000',
+    error: '#ff6e6e',
+    'error-bg': '#000',
+    'group-from': '#000',
+    'group-to': '#616161',
+    hover: '#ffeb3b',
+    link: '#bdbdbd',
+    focus: '#ffeb3b',
+    'focus-bg': '#333',
+    selection: '#333',
+    highlight: '#6b5300',
+    upstream: '#00e5ff',
+    downstream: '#ff6e6e'
+  }
+};
+
+const THEME_LABELS = {
+  auto: 'System',
+  light: 'Light',
+  dark: 'Dark',
+  contrast: 'High contrast'
+};
+
+const themeListeners = [];
+
+function injectThemeStyle() {
+  if (document.getElementById('folio-theme-style')) return;
+
+  const variables = (theme) => Object.entries(THEMES[theme])
+    .map(([name, value]) => `--folio-${name}: ${value};`)
+    .join(' ');
+
+  // Chosen themes win over the system settings; high contrast wins over dark
+  const style = document.createElement('style');
+  style.id = 'folio-theme-style';
+  style.textContent = `
+    :root { ${variables('light')} color-scheme: light; }
+    @media (prefers-color-scheme: dark) { :root:not([data-theme]) { ${variables('dark')} color-scheme: dark; } }
+    @media (prefers-contrast: more) { :root:not([data-theme]) { ${variables('contrast')} color-scheme: dark; } }
+    :root[data-theme="light"] { ${variables('light')} color-scheme: light; }
+    :root[data-theme="dark"] { ${variables('dark')} color-scheme: dark; }
+    :root[data-theme="contrast"] { ${variables('contrast')} color-scheme: dark; }
+  `;
+  document.head.appendChild(style);
+
+  // Following the system, the variant changes with its settings
+  ['(prefers-color-scheme: dark)', '(prefers-contrast: more)'].forEach(query => {
+    const media = window.matchMedia ? window.matchMedia(query) : null;
+    if (!media) return;
+
+    const onChange = () => {
+      if (getTheme() === 'auto') notifyThemeListeners();
+    };
+    if (media.addEventListener) {
+      media.addEventListener('change', onChange);
+    } else if (media.addListener) {
+      media.addListener(onChange);
+    }
+  });
+}
+
+// The chosen theme, or 'auto' when following the system
+function getTheme() {
+  return document.documentElement.getAttribute('data-theme') || 'auto';
+}
+
+function setTheme(name) {
+  if (name !== 'auto' && !THEMES[name]) throw new Error(`Unknown theme: ${name}`);
+  if (name === getTheme()) return;
+
+  if (name === 'auto') {
+    document.documentElement.removeAttribute('data-theme');
+  } else {
+    document.documentElement.setAttribute('data-theme', name);
+  }
+  notifyThemeListeners();
+}
+
+// The variant in effect: the chosen theme or the one the system asks for
+function resolvedTheme() {
+  const theme = getTheme();
+  if (theme !== 'auto') return theme;
+
+  const matches = query => Boolean(window.matchMedia && window.matchMedia(query).matches);
+  if (matches('(prefers-contrast: more)')) return 'contrast';
+  return matches('(prefers-color-scheme: dark)') ? 'dark' : 'light';
+}
+
+// Concrete color of the current variant, for SVG
+function themeColor(name) {
+  return THEMES[resolvedTheme()][name];
+}
+
+function onThemeChange(listener) {
+  themeListeners.push(listener);
+}
+
+function notifyThemeListeners() {
+  const theme = resolvedTheme();
+  themeListeners.forEach(listener => listener(theme));
+}
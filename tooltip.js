@@ -0,0 +1,69 @@
+class Tooltip {
+  constructor() {
+    this.element = document.createElement('div');
+    this.element.setAttribute('role', 'tooltip');
+    this.element.style.position = 'fixed';
+    this.element.style.zIndex = '1000';
+    this.element.style.pointerEvents = 'none';
+    this.element.style.maxWidth = '280px';
+    this.element.style.padding = '8px 10px';
+    this.element.style.borderRadius = '6px';
+    this.element.style.background = 'var(--folio-tooltip-bg)';
+    this.element.style.color = 'var(--folio-tooltip-text)';
+    this.element.style.font = "12px 'Segoe UI', 'Roboto', 'Arial', sans-serif";
+    this.element.style.lineHeight = '1.5';
+    this.element.style.display = 'none';
+    document.body.appendChild(this.element);
+  }
+
+  // One tooltip element shared by all charts
+  static shared() {
+    if (!Tooltip._shared) Tooltip._shared = new Tooltip();
+    return Tooltip._shared;
+  }
+
+  // rows: [[label, value], ...]; empty values are skipped
+  show(event, title, rows = []) {
+    this.element.innerHTML = '';
+
+    const heading = document.createElement('div');
+    heading.textContent = title;
+    heading.style.fontWeight = 'bold';
+    heading.style.fontSize = '13px';
+    heading.style.marginBottom = rows.length > 0 ? '4px' : '0';
+    this.element.appendChild(heading);
+
+    rows
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .forEach(([label, value]) => {
+        const line = document.createElement('div');
+        line.style.whiteSpace = 'pre-line';
+        const labelSpan = document.createElement('span');
+        labelSpan.textContent = `${label}: `;
+        labelSpan.style.color = 'var(--folio-tooltip-label)';
+        line.appendChild(labelSpan);
+        line.appendChild(document.createTextNode(value));
+        this.element.appendChild(line);
+      });
+
+    this.element.style.display = 'block';
+    this.move(event);
+  }
+
+  move(event) {
+    const offset = 14;
+    const { innerWidth, innerHeight } = window;
+    const rect = this.element.getBoundingClientRect();
+
+    // Flip to the other side of the cursor near the window edges
+    const left = event.clientX + offset + rect.width > innerWidth ? event.clientX - offset - rect.width : event.clientX + offset;
+    const top = event.clientY + offset + rect.height > innerHeight ? event.clientY - offset - rect.height : event.clientY + offset;
+
+    this.element.style.left = `${Math.max(0, left)}px`;
+    this.element.style.top = `${Math.max(0, top)}px`;
+  }
+
+  hide() {
+    this.element.style.display = 'none';
+  }
+}
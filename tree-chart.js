@@ -0,0 +1,218 @@
+class TreeChart extends HierarchyChart {
+  // Flash the module's row
+  _highlight(leaf) {
+    if (!this._rows) return;
+
+    this._rows
+      .filter(d => d === leaf)
+      .select("rect")
+      .attr("fill", themeColor("highlight"))
+      .transition("pulse")
+        .delay(300)
+        .duration(1500)
+        .attr("fill", "transparent");
+
+    this._scrollTo(leaf);
+  }
+
+  _scrollTo(node) {
+    const index = this._visible ? this._visible.indexOf(node) : -1;
+    if (index === -1 || !this._scroller) return;
+
+    const top = index * TreeChart.ROW_HEIGHT;
+    const { scrollTop, clientHeight } = this._scroller;
+    if (top < scrollTop || top + TreeChart.ROW_HEIGHT > scrollTop + clientHeight) {
+      this._scroller.scrollTop = top - clientHeight / 2;
+    }
+  }
+
+  // The root row is left out of keyboard navigation; Escape zooms back out to it
+  _keyboardTargets() {
+    return this._rows ? this._rows.filter(d => d !== this.root) : null;
+  }
+
+  _isExpanded(d) {
+    return this._expanded.has(d);
+  }
+
+  _isVisible(d) {
+    return this._visible.includes(d);
+  }
+
+  _collapse(d) {
+    this._toggle(d);
+  }
+
+  render() {
+    const _self = this;
+
+    if (!this.data) throw Error('data is not defined');
+
+    const width = this.width;
+    const rowHeight = TreeChart.ROW_HEIGHT;
+    const indent = 18;
+
+    const root = this._hierarchy();
+    this.colorEncoding = createColorEncoding(this.colorBy, root.leaves().map(d => d.data.row).filter(Boolean));
+
+    // Expand the root and its children so teams and their applications are listed initially.
+    const expanded = new Set([root, ...(root.children || [])]);
+    const keyOf = d => d.ancestors().map(a => a.data.name).reverse().join('\u0000');
+    const format = d3.format("~s");
+
+    // The tree grows with expanded nodes; the wrapper scrolls within the chart height.
+    const scroller = document.createElement('div');
+    scroller.style.maxHeight = `${this.height}px`;
+    scroller.style.width = `${width}px`;
+    scroller.style.maxWidth = '100%';
+    scroller.style.overflowY = 'auto';
+    scroller.style.background = 'var(--folio-surface)';
+    scroller.style.borderRadius = '6px';
+
+    const svg = d3.select(scroller).append("svg")
+      .attr("width", width)
+      .attr("style", "display: block; font: 13px 'Segoe UI', 'Roboto', 'Arial', sans-serif;");
+
+    const rowsGroup = svg.append("g");
+
+    let focus = root;
+
+    this.root = root;
+    this.focusNode = root;
+    this._zoom = zoom;
+    this._toggle = toggle;
+    this._expanded = expanded;
+    this._scroller = scroller;
+
+    function visibleNodes() {
+      const nodes = [];
+      (function walk(node) {
+        nodes.push(node);
+        if (node.children && expanded.has(node)) node.children.forEach(walk);
+      })(root);
+      return nodes;
+    }
+
+    function toggle(d) {
+      if (expanded.has(d)) {
+        expanded.delete(d);
+      } else {
+        expanded.add(d);
+      }
+      update(250);
+    }
+
+    function update(duration) {
+      const nodes = visibleNodes();
+      _self._visible = nodes;
+
+      svg.attr("height", nodes.length * rowHeight + 4)
+        .attr("viewBox", [0, 0, width, nodes.length * rowHeight + 4]);
+
+      const rows = rowsGroup.selectAll("g.tree-row")
+        .data(nodes, keyOf)
+        .join(enter => {
+          const row = enter.append("g")
+            .attr("class", "tree-row")
+            .attr("transform", (d, i) => `translate(0,${i * rowHeight})`)
+            .style("cursor", "pointer")
+            .on("mouseover", (event, d) => _self._showTooltip(event, d))
+            .on("mousemove", (event) => _self.tooltip.move(event))
+            .on("mouseout", () => _self.tooltip.hide());
+
+          row.append("rect")
+            .attr("width", width)
+            .attr("height", rowHeight);
+
+          // Expand/collapse toggle for groups
+          row.filter(d => d.children)
+            .append("text")
+            .attr("class", "tree-toggle")
+            .attr("x", d => d.depth * indent + 4)
+            .attr("y", rowHeight / 2)
+            .attr("dy", "0.35em")
+            .style("fill", themeColor("subtle"))
+            .on("click", (event, d) => {
+              event.stopPropagation();
+              toggle(d);
+            });
+
+          // Color dot for modules
+          row.filter(d => !d.children)
+            .append("circle")
+            .attr("class", "tree-dot")
+            .attr("cx", d => d.depth * indent + 9)
+            .attr("cy", rowHeight / 2)
+            .attr("r", 5)
+            .attr("fill", d => _self._leafColor(d));
+
+          row.append("text")
+            .attr("class", "tree-label")
+            .attr("x", d => d.depth * indent + 20)
+            .attr("y", rowHeight / 2)
+            .attr("dy", "0.35em")
+            .style("fill", d => themeColor(d.children ? "heading" : "text"))
+            .style("font-weight", d => d.children ? "bold" : null)
+            .text(d => _self._nodeLabel(d));
+
+          // Module count for groups, size value for modules
+          row.append("text")
+            .attr("class", "tree-count")
+            .attr("x", width - 10)
+            .attr("y", rowHeight / 2)
+            .attr("dy", "0.35em")
+            .attr("text-anchor", "end")
+            .style("fill", themeColor("subtle"))
+            .text(d => {
+              if (d.children) {
+                const count = d.leaves().length;
+                return `${count} ${count === 1 ? 'module' : 'modules'}` + (_self.sizeBy ? ` · ${format(d.value)}` : '');
+              }
+              return _self.sizeBy ? format(d.value) : '';
+            });
+
+          row.on("click", (event, d) => {
+            if (d.children) {
+              zoom(d, 250);
+            } else if (d.data.row) {
+              _self.onModuleClick(d.data.row);
+            }
+          });
+
+          return row;
+        });
+
+      rows.transition()
+        .duration(duration)
+        .attr("transform", (d, i) => `translate(0,${i * rowHeight})`);
+
+      rows.select("rect")
+        .attr("fill", d => d === focus ? themeColor("selection") : "transparent");
+
+      rows.select(".tree-toggle")
+        .text(d => expanded.has(d) ? "▾" : "▸");
+
+      _self._rows = rows;
+      _self._nodes = rows.select(".tree-dot");
+      _self._applyHidden();
+      _self._applyChanges();
+      _self._applyAccessibility();
+    }
+
+    // Focusing a group expands it and every ancestor
+    function zoom(d, duration) {
+      focus = d;
+      d.ancestors().forEach(node => expanded.add(node));
+      _self._setFocus(focus);
+      update(duration);
+      _self._scrollTo(focus);
+    }
+
+    update(0);
+    this._enableKeyboard(svg);
+
+    document.getElementById(this.container).appendChild(scroller);
+  }
+}
+
+TreeChart.ROW_HEIGHT = 24;
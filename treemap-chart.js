@@ -0,0 +1,167 @@
+class TreemapChart extends HierarchyChart {
+  // Flash the module's cell
+  _highlight(leaf) {
+    this._nodes
+      .filter(d => d === leaf)
+      .attr("stroke", themeColor("text"))
+      .transition("pulse")
+        .delay(750)
+        .duration(400)
+        .attr("stroke-width", 4)
+      .transition()
+        .duration(400)
+        .attr("stroke-width", 0)
+      .transition()
+        .duration(400)
+        .attr("stroke-width", 4)
+      .transition()
+        .duration(400)
+        .attr("stroke-width", 0)
+        .on("end", () => this._applyChanges());
+  }
+
+  render() {
+    const _self = this;
+
+    if (!this.data) throw Error('data is not defined');
+
+    const width = this.width;
+    const height = this.height;
+    const breadcrumbHeight = 24;
+    const chartHeight = height - breadcrumbHeight;
+
+    // Compute the layout; groups keep a header strip for their label.
+    const root = d3.treemap()
+      .size([width, chartHeight])
+      .paddingOuter(3)
+      .paddingTop(19)
+      .paddingInner(2)
+      (this._hierarchy());
+
+    this.colorEncoding = createColorEncoding(this.colorBy, root.leaves().map(d => d.data.row).filter(Boolean));
+
+    const x = d3.scaleLinear().domain([0, width]).range([0, width]);
+    const y = d3.scaleLinear().domain([0, chartHeight]).range([0, chartHeight]);
+
+    const svg = d3.create("svg")
+      .attr("viewBox", [0, 0, width, height])
+      .attr("width", width)
+      .attr("height", height)
+      .attr("style", "max-width: 100%; display: block; margin: 0 auto; overflow: hidden; font: 11px 'Segoe UI', 'Roboto', 'Arial', sans-serif;");
+
+    // Breadcrumb of the focused node's ancestors; each step zooms back out.
+    const breadcrumb = svg.append("text")
+      .attr("x", 4)
+      .attr("y", 16)
+      .style("font-size", "13px")
+      .style("fill", themeColor("heading"));
+
+    const content = svg.append("g")
+      .attr("transform", `translate(0,${breadcrumbHeight})`);
+
+    const cell = content.selectAll("g")
+      .data(root.descendants().slice(1))
+      .join("g");
+
+    const rect = cell.append("rect")
+      .attr("fill", d => d.children ? this._groupColor(d.depth) : this._leafColor(d))
+      .attr("fill-opacity", d => this._fillOpacity(d))
+      .style("cursor", "pointer")
+      .on("mouseover", function(event, d) {
+        d3.select(this).attr("stroke", themeColor("hover"));
+        _self._showTooltip(event, d);
+      })
+      .on("mousemove", (event) => this.tooltip.move(event))
+      .on("mouseout", function(event, d) {
+        d3.select(this).attr("stroke", _self._changeStroke(d));
+        _self.tooltip.hide();
+      })
+      .on("click", (event, d) => {
+        // Modules open their details once their group is in focus; until then they zoom to the group
+        if (!d.children && d.parent === focus) {
+          if (d.data.row) this.onModuleClick(d.data.row);
+        } else {
+          const target = d.children ? d : d.parent;
+          if (focus !== target) zoom(target, 750);
+        }
+      });
+
+    const label = cell.append("text")
+      .attr("pointer-events", "none")
+      .attr("x", 4)
+      .attr("y", 13)
+      .style("fill", d => themeColor(d.children ? "heading" : "text"))
+      .style("font-weight", d => d.children ? "bold" : null);
+
+    let focus = root;
+    position(cell);
+    updateBreadcrumb();
+
+    this.root = root;
+    this.focusNode = root;
+    this._zoom = zoom;
+    this._nodes = rect;
+    this._enableKeyboard(svg);
+
+    function width0(d) {
+      return Math.max(0, x(d.x1) - x(d.x0));
+    }
+
+    function height0(d) {
+      return Math.max(0, y(d.y1) - y(d.y0));
+    }
+
+    // Show the label only when it fits, truncated to the cell width
+    function updateLabels() {
+      label
+        .style("display", d => {
+          const visible = d.ancestors().includes(focus) && d !== focus;
+          return visible && width0(d) > 30 && height0(d) > 14 ? null : "none";
+        })
+        .text(d => {
+          const name = _self._nodeLabel(d);
+          const chars = Math.floor((width0(d) - 8) / 6.5);
+          return name.length > chars ? name.slice(0, Math.max(chars - 1, 1)) + "…" : name;
+        });
+    }
+
+    function position(selection) {
+      selection
+        .attr("transform", d => `translate(${x(d.x0)},${y(d.y0)})`)
+        .select("rect")
+          .attr("width", width0)
+          .attr("height", height0);
+    }
+
+    function updateBreadcrumb() {
+      breadcrumb.selectAll("tspan")
+        .data(focus.ancestors().reverse())
+        .join("tspan")
+        .text((d, i) => (i > 0 ? " › " : "") + d.data.name)
+        .style("cursor", d => d === focus ? null : "pointer")
+        .style("text-decoration", d => d === focus ? null : "underline")
+        .on("click", (event, d) => d !== focus && zoom(d, 750));
+    }
+
+    function zoom(d, duration) {
+      focus = d;
+      _self._setFocus(focus);
+
+      x.domain([focus.x0, focus.x1]);
+      y.domain([focus.y0, focus.y1]);
+
+      updateLabels();
+      updateBreadcrumb();
+
+      cell.transition()
+        .duration(duration)
+        .call(position);
+    }
+
+    updateLabels();
+
+    this._applyChanges();
+
+    document.getElementById(this.container).appendChild(svg.node());
+  }
+}
@@ -0,0 +1,52 @@
+// Keeps the view state (filters and zoom focus) in the URL hash so views can be
+// shared as links and navigated with the browser back/forward buttons.
+// The query string is left alone; it selects the data source.
+class UrlState {
+  constructor() {
+    this.listeners = [];
+
+    window.addEventListener('popstate', () => {
+      const state = this.read();
+      this.listeners.forEach(listener => listener(state));
+    });
+  }
+
+  // Every parameter other than `focus` is a filter dimension and may repeat
+  read() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const filters = {};
+
+    params.forEach((value, key) => {
+      if (key === 'focus') return;
+      filters[key] = (filters[key] || []).concat(value);
+    });
+
+    return { filters, focus: params.getAll('focus') };
+  }
+
+  // Push a history entry (or replace the current one) when the state changed
+  write({ filters = {}, focus = [] }, { replace = false } = {}) {
+    const params = new URLSearchParams();
+
+    Object.entries(filters).forEach(([key, values]) => {
+      (Array.isArray(values) ? values : [values]).filter(Boolean).forEach(value => params.append(key, value));
+    });
+    focus.forEach(name => params.append('focus', name));
+
+    const hash = params.toString();
+    if (hash === window.location.hash.slice(1)) return;
+
+    const url = new URL(window.location.href);
+    url.hash = hash;
+
+    if (replace) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+}